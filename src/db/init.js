@@ -131,6 +131,7 @@ async function createTables(connection) {
       password VARCHAR(255) NOT NULL,
       google_id VARCHAR(255) UNIQUE,
       is_admin BOOLEAN DEFAULT FALSE,
+      remote_images VARCHAR(10) DEFAULT 'proxy',
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       last_login TIMESTAMP,
       INDEX idx_user_email (email),
@@ -157,13 +158,18 @@ async function createTables(connection) {
       domain_id VARCHAR(36) NOT NULL,
       expires_at TIMESTAMP NOT NULL,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      auto_created BOOLEAN DEFAULT FALSE,
+      plus_addressing_enabled BOOLEAN DEFAULT TRUE,
+      quota_policy VARCHAR(8),
+      expiry_notified_at TIMESTAMP NULL,
       FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
       FOREIGN KEY (domain_id) REFERENCES domains(id) ON DELETE CASCADE,
       INDEX idx_temp_email (email),
       INDEX idx_user_id (user_id),
       INDEX idx_expiry (expires_at),
       INDEX idx_user_expiry (user_id, expires_at),
-      INDEX idx_domain_expiry (domain_id, expires_at)
+      INDEX idx_domain_expiry (domain_id, expires_at),
+      INDEX idx_domain_auto_created (domain_id, auto_created)
     ) ENGINE=InnoDB
     PARTITION BY RANGE (YEAR(expires_at)) (
       PARTITION p2024 VALUES LESS THAN (2025),
@@ -182,12 +188,32 @@ async function createTables(connection) {
       subject TEXT,
       body_html LONGTEXT,
       body_text LONGTEXT,
+      subaddress_tag VARCHAR(64),
+      message_id VARCHAR(255),
+      in_reply_to VARCHAR(255),
+      message_references TEXT,
+      thread_id VARCHAR(36),
+      spf_result VARCHAR(16),
+      dkim_result VARCHAR(16),
+      dmarc_result VARCHAR(16),
+      auth_results TEXT,
+      privacy_report TEXT,
+      verification_code VARCHAR(32),
+      verification_link TEXT,
+      size_bytes BIGINT NOT NULL DEFAULT 0,
+      message_type VARCHAR(16) NOT NULL DEFAULT 'message',
+      bounce_type VARCHAR(8),
       received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (temp_email_id) REFERENCES temp_emails(id) ON DELETE CASCADE,
       INDEX idx_temp_email_id (temp_email_id),
       INDEX idx_received_at (received_at),
       INDEX idx_email_received (temp_email_id, received_at),
-      INDEX idx_from_received (from_email, received_at)
+      INDEX idx_from_received (from_email, received_at),
+      INDEX idx_email_tag (temp_email_id, subaddress_tag),
+      INDEX idx_email_message_id (temp_email_id, message_id),
+      INDEX idx_email_in_reply_to (temp_email_id, in_reply_to),
+      INDEX idx_email_thread (temp_email_id, thread_id, received_at),
+      INDEX idx_email_message_type (temp_email_id, message_type, received_at)
     ) ENGINE=InnoDB
     PARTITION BY RANGE (MONTH(received_at)) (
       PARTITION p1 VALUES LESS THAN (2),
@@ -205,7 +231,20 @@ async function createTables(connection) {
     );
   `);
 
-  // Email attachments table
+  // Attachment contents in the blob store, keyed by SHA-256
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS attachment_blobs (
+      hash CHAR(64) PRIMARY KEY,
+      size BIGINT NOT NULL,
+      ref_count INT NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_referenced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_unreferenced (ref_count, last_referenced_at)
+    ) ENGINE=InnoDB;
+  `);
+
+  // Email attachments table (content is only set on rows not yet moved
+  // to the blob store)
   await connection.query(`
     CREATE TABLE IF NOT EXISTS email_attachments (
       id VARCHAR(36) PRIMARY KEY,
@@ -214,10 +253,260 @@ async function createTables(connection) {
       content_type VARCHAR(100),
       size BIGINT,
       content LONGTEXT,
+      blob_hash CHAR(64),
+      content_id VARCHAR(255),
+      is_inline BOOLEAN DEFAULT FALSE,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (email_id) REFERENCES received_emails(id) ON DELETE CASCADE,
+      FOREIGN KEY (blob_hash) REFERENCES attachment_blobs(hash),
       INDEX idx_email_id (email_id),
-      INDEX idx_attachment_filename (filename)
+      INDEX idx_attachment_filename (filename),
+      INDEX idx_blob_hash (blob_hash)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Original RFC 822 source of received emails ("download original")
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS received_email_sources (
+      email_id VARCHAR(36) PRIMARY KEY,
+      raw_source LONGBLOB NOT NULL,
+      size BIGINT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (email_id) REFERENCES received_emails(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Headers of received emails in message order ("show original")
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS received_email_headers (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      email_id VARCHAR(36) NOT NULL,
+      position INT NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      value TEXT NOT NULL,
+      FOREIGN KEY (email_id) REFERENCES received_emails(id) ON DELETE CASCADE,
+      INDEX idx_email_position (email_id, position),
+      INDEX idx_header_name (name)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Delivery status notifications: parsed bounce details (recipients,
+  // status codes, original message headers)
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS received_email_bounces (
+      email_id VARCHAR(36) PRIMARY KEY,
+      bounce_type VARCHAR(8) NOT NULL,
+      recipient VARCHAR(255),
+      status_code VARCHAR(16),
+      action VARCHAR(16),
+      diagnostic TEXT,
+      reporting_mta VARCHAR(255),
+      original_message_id VARCHAR(255),
+      details MEDIUMTEXT NOT NULL,
+      FOREIGN KEY (email_id) REFERENCES received_emails(id) ON DELETE CASCADE,
+      INDEX idx_bounce_recipient (recipient)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Searchable text of received emails. received_emails is partitioned and
+  // cannot carry FULLTEXT indexes, so the text is copied here.
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS received_email_search (
+      email_id VARCHAR(36) PRIMARY KEY,
+      temp_email_id VARCHAR(36) NOT NULL,
+      to_address VARCHAR(255) NOT NULL,
+      from_email VARCHAR(255) NOT NULL,
+      from_name VARCHAR(255),
+      subject TEXT,
+      body MEDIUMTEXT,
+      has_attachment BOOLEAN DEFAULT FALSE,
+      received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (temp_email_id) REFERENCES temp_emails(id) ON DELETE CASCADE,
+      INDEX idx_search_inbox_received (temp_email_id, received_at),
+      FULLTEXT INDEX ft_search (subject, from_email, from_name, body)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Catch-all settings for verified custom domains
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS domain_catch_all (
+      domain_id VARCHAR(36) PRIMARY KEY,
+      is_enabled BOOLEAN DEFAULT FALSE,
+      max_auto_inboxes INT NOT NULL DEFAULT 100,
+      excluded_local_parts TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (domain_id) REFERENCES user_domains(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Relays allowed to post to the incoming email webhook
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS webhook_relays (
+      id VARCHAR(36) PRIMARY KEY,
+      name VARCHAR(100) UNIQUE NOT NULL,
+      allow_unsigned BOOLEAN DEFAULT FALSE,
+      allowed_ips TEXT,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_relay_name (name)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // HMAC signing secrets per relay (several may be valid during rotation)
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS webhook_relay_secrets (
+      id VARCHAR(36) PRIMARY KEY,
+      relay_id VARCHAR(36) NOT NULL,
+      secret VARCHAR(128) NOT NULL,
+      is_active BOOLEAN DEFAULT TRUE,
+      expires_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (relay_id) REFERENCES webhook_relays(id) ON DELETE CASCADE,
+      INDEX idx_relay_secrets (relay_id, is_active)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Nonces of signed webhook requests, for replay protection
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS webhook_nonces (
+      relay_id VARCHAR(36) NOT NULL,
+      nonce VARCHAR(128) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (relay_id, nonce),
+      INDEX idx_nonce_created (created_at)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Per-user overrides of the QUOTA_* storage limits (NULL: default)
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS user_quotas (
+      user_id VARCHAR(36) PRIMARY KEY,
+      max_message_bytes BIGINT,
+      inbox_max_bytes BIGINT,
+      inbox_max_messages INT,
+      user_max_bytes BIGINT,
+      user_max_messages INT,
+      policy VARCHAR(8),
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Live inbox events, polled by every API instance for its streams
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS inbox_events (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      temp_email_id VARCHAR(36) NOT NULL,
+      type VARCHAR(32) NOT NULL,
+      payload TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_inbox_event (temp_email_id, id),
+      INDEX idx_inbox_event_created (created_at)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Delivery keys of stored mail, to recognize relay retries
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS ingestion_keys (
+      key_hash CHAR(64) PRIMARY KEY,
+      email_id VARCHAR(36) NOT NULL,
+      temp_email_id VARCHAR(36) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_ingestion_created (created_at)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Inbound mail that could not be delivered, kept for admin replay: each
+  // message once, with a dead letter per rejected recipient
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS dead_letter_messages (
+      id VARCHAR(36) PRIMARY KEY,
+      message_key CHAR(64) NOT NULL,
+      sender VARCHAR(255),
+      subject TEXT,
+      message_data LONGTEXT NOT NULL,
+      raw_source LONGBLOB,
+      size BIGINT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMP NOT NULL,
+      UNIQUE KEY uniq_dead_letter_message (message_key),
+      INDEX idx_dead_letter_message_expires (expires_at)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS dead_letters (
+      id VARCHAR(36) PRIMARY KEY,
+      message_id VARCHAR(36) NOT NULL,
+      recipient VARCHAR(255) NOT NULL,
+      reason VARCHAR(32) NOT NULL,
+      error TEXT,
+      transport VARCHAR(16),
+      status VARCHAR(16) NOT NULL DEFAULT 'pending',
+      replay_attempts INT NOT NULL DEFAULT 0,
+      last_replay_error TEXT,
+      replay_started_at TIMESTAMP NULL,
+      replayed_email_id VARCHAR(36),
+      replayed_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMP NOT NULL,
+      FOREIGN KEY (message_id) REFERENCES dead_letter_messages(id) ON DELETE CASCADE,
+      UNIQUE KEY uniq_dead_letter_recipient (message_id, recipient),
+      INDEX idx_dead_letter_recipient (recipient, status, created_at),
+      INDEX idx_dead_letter_created (created_at),
+      INDEX idx_dead_letter_expires (expires_at)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Webhooks users register for their inboxes (or all inboxes of one of
+  // their custom domains), with the events they want
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS user_webhooks (
+      id VARCHAR(36) PRIMARY KEY,
+      user_id VARCHAR(36) NOT NULL,
+      temp_email_id VARCHAR(36),
+      domain_id VARCHAR(36),
+      url VARCHAR(2048) NOT NULL,
+      secret VARCHAR(128) NOT NULL,
+      events VARCHAR(255) NOT NULL,
+      is_active BOOLEAN DEFAULT TRUE,
+      consecutive_failures INT NOT NULL DEFAULT 0,
+      disabled_at TIMESTAMP NULL,
+      disabled_reason VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      INDEX idx_webhook_user (user_id),
+      INDEX idx_webhook_inbox (temp_email_id),
+      INDEX idx_webhook_domain (domain_id)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Webhook delivery log and retry queue
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id VARCHAR(36) PRIMARY KEY,
+      webhook_id VARCHAR(36) NOT NULL,
+      event_id VARCHAR(36) NOT NULL,
+      event_type VARCHAR(32) NOT NULL,
+      payload LONGTEXT NOT NULL,
+      status VARCHAR(16) NOT NULL DEFAULT 'pending',
+      attempts INT NOT NULL DEFAULT 0,
+      claim_token VARCHAR(36),
+      next_attempt_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+      last_attempt_at TIMESTAMP NULL,
+      response_status INT,
+      response_body TEXT,
+      error TEXT,
+      duration_ms INT,
+      redelivery_of VARCHAR(36),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (webhook_id) REFERENCES user_webhooks(id) ON DELETE CASCADE,
+      INDEX idx_delivery_webhook (webhook_id, created_at),
+      INDEX idx_delivery_due (status, next_attempt_at),
+      INDEX idx_delivery_created (created_at)
     ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
   `);
 
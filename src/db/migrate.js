@@ -22,6 +22,310 @@ const migration = `
   CREATE INDEX idx_blog_meta_title ON blog_posts(meta_title);
   CREATE INDEX idx_blog_canonical ON blog_posts(canonical_url);
   CREATE INDEX idx_blog_og_type ON blog_posts(og_type);
+
+  -- Original RFC 822 source of received emails ("download original")
+  CREATE TABLE IF NOT EXISTS received_email_sources (
+    email_id VARCHAR(36) PRIMARY KEY,
+    raw_source LONGBLOB NOT NULL,
+    size BIGINT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (email_id) REFERENCES received_emails(id) ON DELETE CASCADE
+  ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+
+  -- Relays allowed to post to the incoming email webhook, their HMAC
+  -- signing secrets and the nonces of signed requests
+  CREATE TABLE IF NOT EXISTS webhook_relays (
+    id VARCHAR(36) PRIMARY KEY,
+    name VARCHAR(100) UNIQUE NOT NULL,
+    allow_unsigned BOOLEAN DEFAULT FALSE,
+    allowed_ips TEXT,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_relay_name (name)
+  ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+
+  CREATE TABLE IF NOT EXISTS webhook_relay_secrets (
+    id VARCHAR(36) PRIMARY KEY,
+    relay_id VARCHAR(36) NOT NULL,
+    secret VARCHAR(128) NOT NULL,
+    is_active BOOLEAN DEFAULT TRUE,
+    expires_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (relay_id) REFERENCES webhook_relays(id) ON DELETE CASCADE,
+    INDEX idx_relay_secrets (relay_id, is_active)
+  ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+
+  CREATE TABLE IF NOT EXISTS webhook_nonces (
+    relay_id VARCHAR(36) NOT NULL,
+    nonce VARCHAR(128) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (relay_id, nonce),
+    INDEX idx_nonce_created (created_at)
+  ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+
+  -- Catch-all inboxes created on first delivery
+  ALTER TABLE temp_emails
+  ADD COLUMN IF NOT EXISTS auto_created BOOLEAN DEFAULT FALSE;
+
+  CREATE INDEX idx_domain_auto_created ON temp_emails(domain_id, auto_created);
+
+  CREATE TABLE IF NOT EXISTS domain_catch_all (
+    domain_id VARCHAR(36) PRIMARY KEY,
+    is_enabled BOOLEAN DEFAULT FALSE,
+    max_auto_inboxes INT NOT NULL DEFAULT 100,
+    excluded_local_parts TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (domain_id) REFERENCES user_domains(id) ON DELETE CASCADE
+  ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+
+  -- Plus-addressing (name+tag@domain)
+  ALTER TABLE temp_emails
+  ADD COLUMN IF NOT EXISTS plus_addressing_enabled BOOLEAN DEFAULT TRUE;
+
+  ALTER TABLE received_emails
+  ADD COLUMN IF NOT EXISTS subaddress_tag VARCHAR(64);
+
+  CREATE INDEX idx_email_tag ON received_emails(temp_email_id, subaddress_tag);
+
+  -- SPF/DKIM/DMARC verdicts of received mail
+  ALTER TABLE received_emails
+  ADD COLUMN IF NOT EXISTS spf_result VARCHAR(16),
+  ADD COLUMN IF NOT EXISTS dkim_result VARCHAR(16),
+  ADD COLUMN IF NOT EXISTS dmarc_result VARCHAR(16),
+  ADD COLUMN IF NOT EXISTS auth_results TEXT;
+
+  -- Content-addressed attachment storage (existing rows are moved by
+  -- src/db/migrateAttachments.js)
+  CREATE TABLE IF NOT EXISTS attachment_blobs (
+    hash CHAR(64) PRIMARY KEY,
+    size BIGINT NOT NULL,
+    ref_count INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_referenced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_unreferenced (ref_count, last_referenced_at)
+  ) ENGINE=InnoDB;
+
+  ALTER TABLE email_attachments
+  ADD COLUMN IF NOT EXISTS blob_hash CHAR(64);
+
+  CREATE INDEX idx_blob_hash ON email_attachments(blob_hash);
+
+  ALTER TABLE email_attachments
+  ADD CONSTRAINT fk_attachment_blob FOREIGN KEY (blob_hash) REFERENCES attachment_blobs(hash);
+
+  -- Inline (cid:) parts of HTML bodies
+  ALTER TABLE email_attachments
+  ADD COLUMN IF NOT EXISTS content_id VARCHAR(255),
+  ADD COLUMN IF NOT EXISTS is_inline BOOLEAN DEFAULT FALSE;
+
+  -- What HTML sanitization removed from each received email
+  ALTER TABLE received_emails
+  ADD COLUMN IF NOT EXISTS privacy_report TEXT;
+
+  -- Remote images in received HTML: load, proxy or block
+  ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS remote_images VARCHAR(10) DEFAULT 'proxy';
+
+  -- Message identity and conversation threading
+  ALTER TABLE received_emails
+  ADD COLUMN IF NOT EXISTS message_id VARCHAR(255),
+  ADD COLUMN IF NOT EXISTS in_reply_to VARCHAR(255),
+  ADD COLUMN IF NOT EXISTS message_references TEXT,
+  ADD COLUMN IF NOT EXISTS thread_id VARCHAR(36);
+
+  CREATE INDEX idx_email_message_id ON received_emails(temp_email_id, message_id);
+  CREATE INDEX idx_email_in_reply_to ON received_emails(temp_email_id, in_reply_to);
+  CREATE INDEX idx_email_thread ON received_emails(temp_email_id, thread_id, received_at);
+
+  -- Headers of received emails in message order
+  CREATE TABLE IF NOT EXISTS received_email_headers (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    email_id VARCHAR(36) NOT NULL,
+    position INT NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    value TEXT NOT NULL,
+    FOREIGN KEY (email_id) REFERENCES received_emails(id) ON DELETE CASCADE,
+    INDEX idx_email_position (email_id, position),
+    INDEX idx_header_name (name)
+  ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+
+  -- One-time codes and confirmation links found in received emails
+  ALTER TABLE received_emails
+  ADD COLUMN IF NOT EXISTS verification_code VARCHAR(32),
+  ADD COLUMN IF NOT EXISTS verification_link TEXT;
+
+  -- Full-text search over received emails (existing emails are indexed by
+  -- src/db/migrateSearchIndex.js)
+  CREATE TABLE IF NOT EXISTS received_email_search (
+    email_id VARCHAR(36) PRIMARY KEY,
+    temp_email_id VARCHAR(36) NOT NULL,
+    to_address VARCHAR(255) NOT NULL,
+    from_email VARCHAR(255) NOT NULL,
+    from_name VARCHAR(255),
+    subject TEXT,
+    body MEDIUMTEXT,
+    has_attachment BOOLEAN DEFAULT FALSE,
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (temp_email_id) REFERENCES temp_emails(id) ON DELETE CASCADE,
+    INDEX idx_search_inbox_received (temp_email_id, received_at),
+    FULLTEXT INDEX ft_search (subject, from_email, from_name, body)
+  ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+
+  -- Storage quotas: message sizes, full-inbox policy and per-user limits
+  ALTER TABLE received_emails
+  ADD COLUMN IF NOT EXISTS size_bytes BIGINT NOT NULL DEFAULT 0;
+
+  ALTER TABLE temp_emails
+  ADD COLUMN IF NOT EXISTS quota_policy VARCHAR(8);
+
+  UPDATE received_emails re
+  LEFT JOIN received_email_sources res ON res.email_id = re.id
+  SET re.size_bytes = COALESCE(
+    res.size,
+    LENGTH(COALESCE(re.body_html, '')) + LENGTH(COALESCE(re.body_text, '')) + (
+      SELECT COALESCE(SUM(ea.size), 0) FROM email_attachments ea WHERE ea.email_id = re.id
+    )
+  )
+  WHERE re.size_bytes = 0;
+
+  CREATE TABLE IF NOT EXISTS user_quotas (
+    user_id VARCHAR(36) PRIMARY KEY,
+    max_message_bytes BIGINT,
+    inbox_max_bytes BIGINT,
+    inbox_max_messages INT,
+    user_max_bytes BIGINT,
+    user_max_messages INT,
+    policy VARCHAR(8),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+
+  -- Bounces (delivery status notifications) as a distinct message type
+  ALTER TABLE received_emails
+  ADD COLUMN IF NOT EXISTS message_type VARCHAR(16) NOT NULL DEFAULT 'message',
+  ADD COLUMN IF NOT EXISTS bounce_type VARCHAR(8);
+
+  CREATE INDEX idx_email_message_type ON received_emails(temp_email_id, message_type, received_at);
+
+  CREATE TABLE IF NOT EXISTS received_email_bounces (
+    email_id VARCHAR(36) PRIMARY KEY,
+    bounce_type VARCHAR(8) NOT NULL,
+    recipient VARCHAR(255),
+    status_code VARCHAR(16),
+    action VARCHAR(16),
+    diagnostic TEXT,
+    reporting_mta VARCHAR(255),
+    original_message_id VARCHAR(255),
+    details MEDIUMTEXT NOT NULL,
+    FOREIGN KEY (email_id) REFERENCES received_emails(id) ON DELETE CASCADE,
+    INDEX idx_bounce_recipient (recipient)
+  ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+
+  -- Live inbox events, polled by every API instance for its streams
+  CREATE TABLE IF NOT EXISTS inbox_events (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    temp_email_id VARCHAR(36) NOT NULL,
+    type VARCHAR(32) NOT NULL,
+    payload TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_inbox_event (temp_email_id, id),
+    INDEX idx_inbox_event_created (created_at)
+  ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+
+  -- Delivery keys of stored mail, to recognize relay retries
+  CREATE TABLE IF NOT EXISTS ingestion_keys (
+    key_hash CHAR(64) PRIMARY KEY,
+    email_id VARCHAR(36) NOT NULL,
+    temp_email_id VARCHAR(36) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_ingestion_created (created_at)
+  ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+
+  -- Undeliverable inbound mail kept for admin replay
+  CREATE TABLE IF NOT EXISTS dead_letter_messages (
+    id VARCHAR(36) PRIMARY KEY,
+    message_key CHAR(64) NOT NULL,
+    sender VARCHAR(255),
+    subject TEXT,
+    message_data LONGTEXT NOT NULL,
+    raw_source LONGBLOB,
+    size BIGINT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    UNIQUE KEY uniq_dead_letter_message (message_key),
+    INDEX idx_dead_letter_message_expires (expires_at)
+  ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+
+  CREATE TABLE IF NOT EXISTS dead_letters (
+    id VARCHAR(36) PRIMARY KEY,
+    message_id VARCHAR(36) NOT NULL,
+    recipient VARCHAR(255) NOT NULL,
+    reason VARCHAR(32) NOT NULL,
+    error TEXT,
+    transport VARCHAR(16),
+    status VARCHAR(16) NOT NULL DEFAULT 'pending',
+    replay_attempts INT NOT NULL DEFAULT 0,
+    last_replay_error TEXT,
+    replay_started_at TIMESTAMP NULL,
+    replayed_email_id VARCHAR(36),
+    replayed_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    FOREIGN KEY (message_id) REFERENCES dead_letter_messages(id) ON DELETE CASCADE,
+    UNIQUE KEY uniq_dead_letter_recipient (message_id, recipient),
+    INDEX idx_dead_letter_recipient (recipient, status, created_at),
+    INDEX idx_dead_letter_created (created_at),
+    INDEX idx_dead_letter_expires (expires_at)
+  ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+
+  -- User webhooks: inbox and domain subscriptions, delivery log and retries
+  ALTER TABLE temp_emails
+  ADD COLUMN IF NOT EXISTS expiry_notified_at TIMESTAMP NULL;
+
+  CREATE TABLE IF NOT EXISTS user_webhooks (
+    id VARCHAR(36) PRIMARY KEY,
+    user_id VARCHAR(36) NOT NULL,
+    temp_email_id VARCHAR(36),
+    domain_id VARCHAR(36),
+    url VARCHAR(2048) NOT NULL,
+    secret VARCHAR(128) NOT NULL,
+    events VARCHAR(255) NOT NULL,
+    is_active BOOLEAN DEFAULT TRUE,
+    consecutive_failures INT NOT NULL DEFAULT 0,
+    disabled_at TIMESTAMP NULL,
+    disabled_reason VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_webhook_user (user_id),
+    INDEX idx_webhook_inbox (temp_email_id),
+    INDEX idx_webhook_domain (domain_id)
+  ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+
+  CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id VARCHAR(36) PRIMARY KEY,
+    webhook_id VARCHAR(36) NOT NULL,
+    event_id VARCHAR(36) NOT NULL,
+    event_type VARCHAR(32) NOT NULL,
+    payload LONGTEXT NOT NULL,
+    status VARCHAR(16) NOT NULL DEFAULT 'pending',
+    attempts INT NOT NULL DEFAULT 0,
+    claim_token VARCHAR(36),
+    next_attempt_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+    last_attempt_at TIMESTAMP NULL,
+    response_status INT,
+    response_body TEXT,
+    error TEXT,
+    duration_ms INT,
+    redelivery_of VARCHAR(36),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (webhook_id) REFERENCES user_webhooks(id) ON DELETE CASCADE,
+    INDEX idx_delivery_webhook (webhook_id, created_at),
+    INDEX idx_delivery_due (status, next_attempt_at),
+    INDEX idx_delivery_created (created_at)
+  ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
 `;
 
 async function runMigration() {
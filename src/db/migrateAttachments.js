@@ -0,0 +1,76 @@
+import { pool } from './init.js';
+import { AttachmentStore } from '../services/attachmentStore.js';
+
+// Moves attachment contents stored as base64 in email_attachments.content
+// into the blob store. Run after src/db/migrate.js:
+//   node src/db/migrateAttachments.js
+// Safe to interrupt and rerun; only rows without a blob_hash are touched.
+
+const BATCH_SIZE = 100;
+
+async function migrateAttachments() {
+  const attachmentStore = new AttachmentStore();
+  let migrated = 0;
+  let failed = 0;
+  let lastId = '';
+
+  try {
+    console.log('Moving attachments into the blob store...');
+
+    while (true) {
+      const [rows] = await pool.query(`
+        SELECT id, content FROM email_attachments
+        WHERE blob_hash IS NULL AND content IS NOT NULL AND id > ?
+        ORDER BY id
+        LIMIT ?
+      `, [lastId, BATCH_SIZE]);
+
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        lastId = row.id;
+
+        try {
+          const [{ blobHash, size }] = await attachmentStore.saveBlobs([{ content: row.content }]);
+
+          const connection = await pool.getConnection();
+          try {
+            await connection.beginTransaction();
+
+            const [result] = await connection.query(
+              'UPDATE email_attachments SET blob_hash = ?, size = ?, content = NULL WHERE id = ? AND blob_hash IS NULL',
+              [blobHash, size, row.id]
+            );
+            if (result.affectedRows > 0) {
+              await attachmentStore.addReference(connection, blobHash);
+            }
+
+            await connection.commit();
+          } catch (error) {
+            await connection.rollback();
+            throw error;
+          } finally {
+            connection.release();
+          }
+
+          migrated++;
+        } catch (error) {
+          // Leave the row as it is; it is picked up again on the next run
+          console.error(`Failed to migrate attachment ${row.id}:`, error);
+          failed++;
+        }
+      }
+
+      console.log(`Migrated ${migrated} attachments so far...`);
+    }
+
+    console.log(`Attachment migration completed: ${migrated} migrated, ${failed} failed.`);
+  } catch (error) {
+    console.error('Attachment migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+migrateAttachments();
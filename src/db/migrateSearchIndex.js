@@ -0,0 +1,67 @@
+import { pool } from './init.js';
+import { searchableBody } from '../services/mailSearch.js';
+
+// Adds received emails stored before full-text search existed to
+// received_email_search. Run after src/db/migrate.js:
+//   node src/db/migrateSearchIndex.js
+// Safe to interrupt and rerun; emails already indexed are skipped.
+
+const BATCH_SIZE = 200;
+
+async function migrateSearchIndex() {
+  let indexed = 0;
+  let lastId = '';
+
+  try {
+    console.log('Indexing received emails for search...');
+
+    while (true) {
+      const [rows] = await pool.query(`
+        SELECT re.id, re.temp_email_id, te.email as to_address, re.from_email, re.from_name,
+          re.subject, re.body_text, re.body_html, re.received_at,
+          EXISTS (
+            SELECT 1 FROM email_attachments ea WHERE ea.email_id = re.id AND NOT ea.is_inline
+          ) as has_attachment
+        FROM received_emails re
+        JOIN temp_emails te ON re.temp_email_id = te.id
+        LEFT JOIN received_email_search s ON s.email_id = re.id
+        WHERE s.email_id IS NULL AND re.id > ?
+        ORDER BY re.id
+        LIMIT ?
+      `, [lastId, BATCH_SIZE]);
+
+      if (rows.length === 0) break;
+
+      const values = rows.map(row => [
+        row.id,
+        row.temp_email_id,
+        row.to_address,
+        row.from_email,
+        row.from_name,
+        row.subject,
+        searchableBody(row.body_text, row.body_html),
+        Boolean(row.has_attachment),
+        row.received_at
+      ]);
+
+      await pool.query(`
+        INSERT IGNORE INTO received_email_search (
+          email_id, temp_email_id, to_address, from_email, from_name, subject, body, has_attachment, received_at
+        ) VALUES ?
+      `, [values]);
+
+      lastId = rows[rows.length - 1].id;
+      indexed += rows.length;
+      console.log(`Indexed ${indexed} emails so far...`);
+    }
+
+    console.log(`Search index migration completed: ${indexed} emails indexed.`);
+  } catch (error) {
+    console.error('Search index migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+migrateSearchIndex();
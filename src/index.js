@@ -7,6 +7,7 @@ import { initializeDatabase, checkDatabaseConnection, pool } from './db/init.js'
 import { cleanupOldEmails } from './utils/cleanup.js';
 import { requestTrackerMiddleware } from './middleware/requestTracker.js';
 import { checkBlockedIp } from './middleware/ipBlocker.js'; // Added import
+import { captureRawBody } from './middleware/webhookAuth.js';
 import authRoutes from './routes/auth.js';
 import emailRoutes from './routes/emails.js';
 import domainRoutes from './routes/domains.js';
@@ -14,6 +15,11 @@ import webhookRoutes from './routes/webhook.js';
 import messageRoutes from './routes/messages.js';
 import blogRoutes from './routes/blog.js';
 import monitorRoutes from './routes/monitor.js';
+import imageRoutes from './routes/images.js';
+import userWebhookRoutes from './routes/userWebhooks.js';
+import { InboundSmtpServer } from './services/inboundSmtpServer.js';
+import { InboxSocketServer } from './services/inboxSocketServer.js';
+import webhookDispatcher from './services/webhookDispatcher.js';
 import nodemailer from 'nodemailer';
 
 dotenv.config();
@@ -21,6 +27,13 @@ dotenv.config();
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Reverse proxies in front of the API, as a hop count or their addresses
+// (Express "trust proxy"). Unset, req.ip is the connecting address.
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 // Create mail transporter
 export const mailTransporter = nodemailer.createTransport({
   host: process.env.SMTP_HOST,
@@ -82,12 +95,13 @@ app.use((req, res, next) => {
 app.use(cors({
   origin: '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Admin-Access'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Admin-Access', 'Last-Event-ID'],
   credentials: true,
   exposedHeaders: ['Content-Length', 'X-Requested-With', 'X-Request-ID']
 }));
 
-app.use(express.json());
+// Keep the raw JSON body for webhook signature verification
+app.use(express.json({ verify: captureRawBody }));
 
 // Health check endpoint
 app.get('/health', async (req, res) => {
@@ -115,6 +129,8 @@ app.use('/webhook', webhookRoutes);
 app.use('/messages', messageRoutes);
 app.use('/blog', blogRoutes);
 app.use('/monitor', monitorRoutes);
+app.use('/images', imageRoutes);
+app.use('/webhooks', userWebhookRoutes);
 
 // Handle preflight requests for /admin/all
 app.options('/emails/admin/all', cors());
@@ -135,11 +151,23 @@ function scheduleCleanup() {
 
 // Initialize database and start server
 initializeDatabase().then(() => {
-  app.listen(port, '0.0.0.0', () => {
+  const server = app.listen(port, '0.0.0.0', () => {
     console.log(`Server running on port ${port}`);
     scheduleCleanup();
     console.log('Email cleanup scheduler started');
   });
+
+  // Live inbox subscriptions over WebSocket (/ws)
+  new InboxSocketServer().attach(server);
+
+  // Outbound deliveries and retries for user webhooks
+  webhookDispatcher.start();
+
+  // Built-in SMTP/LMTP listener (enabled by INBOUND_SMTP_PORT / INBOUND_LMTP_PORT)
+  const inboundSmtpServer = new InboundSmtpServer();
+  if (!inboundSmtpServer.start()) {
+    console.log('Inbound SMTP listener disabled');
+  }
 }).catch(error => {
   console.error('Failed to initialize database:', error);
   process.exit(1);
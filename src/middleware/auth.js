@@ -12,7 +12,8 @@ export function authenticateToken(req, res, next) {
   }
 
   jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
+    // Inbox access and event stream tokens do not stand for an account
+    if (err || user.scope) {
       return res.status(403).json({ error: 'Invalid token' });
     }
     req.user = user;
@@ -20,6 +21,78 @@ export function authenticateToken(req, res, next) {
   });
 }
 
+// Access tokens for one inbox, for clients without an account (public
+// inboxes): they grant the inbox's live events until it expires
+const INBOX_TOKEN_SCOPE = 'inbox';
+
+export function signInboxToken(inbox) {
+  const secondsLeft = Math.floor((new Date(inbox.expires_at).getTime() - Date.now()) / 1000);
+  return jwt.sign(
+    { inboxId: inbox.id, scope: INBOX_TOKEN_SCOPE },
+    process.env.JWT_SECRET,
+    { expiresIn: Math.max(secondsLeft, 60) }
+  );
+}
+
+// Returns the inbox id, or null for an invalid or expired token
+export function verifyInboxToken(token) {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    return payload.scope === INBOX_TOKEN_SCOPE ? payload.inboxId : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Event stream tokens let browsers open GET /emails/:id/events, as
+// EventSource cannot send the Authorization header. They are passed in the
+// URL, so they only last long enough to open the stream; clients get a new
+// one before reconnecting.
+const EVENTS_TOKEN_SCOPE = 'inbox_events';
+const EVENTS_TOKEN_TTL_SECONDS = 5 * 60;
+
+export function signEventsToken(userId, inboxId) {
+  return jwt.sign(
+    { userId, inboxId, scope: EVENTS_TOKEN_SCOPE },
+    process.env.JWT_SECRET,
+    { expiresIn: EVENTS_TOKEN_TTL_SECONDS }
+  );
+}
+
+// The user's Authorization header, or an event stream token for the
+// inbox in :id passed as ?accessToken=
+export function authenticateEventsToken(req, res, next) {
+  if (!req.query.accessToken) {
+    return authenticateToken(req, res, next);
+  }
+
+  jwt.verify(String(req.query.accessToken), process.env.JWT_SECRET, (err, payload) => {
+    if (err || payload.scope !== EVENTS_TOKEN_SCOPE || payload.inboxId !== req.params.id) {
+      return res.status(403).json({ error: 'Invalid token' });
+    }
+    req.user = { id: payload.userId };
+    next();
+  });
+}
+
+// Inbox access token as a Bearer token, or in ?accessToken= for
+// EventSource clients, which cannot set headers. Sets req.inboxId.
+export function authenticateInboxToken(req, res, next) {
+  const authHeader = req.headers['authorization'];
+  const token = (authHeader && authHeader.split(' ')[1]) || req.query.accessToken;
+
+  if (!token) {
+    return res.status(401).json({ error: 'Access token required' });
+  }
+
+  const inboxId = verifyInboxToken(String(token));
+  if (!inboxId) {
+    return res.status(403).json({ error: 'Invalid token' });
+  }
+  req.inboxId = inboxId;
+  next();
+}
+
 export function requireAdmin(req, res, next) {
   if (!req.user.isAdmin) {
     return res.status(403).json({ error: 'Admin access required' });
@@ -0,0 +1,90 @@
+import { WebhookRelayManager } from '../services/webhookRelayManager.js';
+
+const relayManager = new WebhookRelayManager();
+
+// Accepted clock skew between the relay and this server, in seconds
+export const SIGNATURE_TOLERANCE = parseInt(process.env.WEBHOOK_SIGNATURE_TOLERANCE || '300');
+
+// body-parser `verify` hook: keep the raw request bytes for HMAC checks
+export function captureRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+function isIpAllowed(relay, clientIp) {
+  if (!relay.allowed_ips) return true;
+  return relay.allowed_ips
+    .split(',')
+    .map(ip => ip.trim())
+    .filter(Boolean)
+    .includes(clientIp);
+}
+
+function reject(res, status, error, message) {
+  return res.status(status).json({ error, message });
+}
+
+// Verify that an incoming webhook was sent by a registered relay.
+// Relays sign "<timestamp>.<nonce>.<raw body>" with HMAC-SHA256 and send:
+//   X-Relay-Id, X-Webhook-Timestamp (unix seconds), X-Webhook-Nonce,
+//   X-Webhook-Signature: sha256=<hex digest>
+// Unsigned requests are only accepted from relays an admin marked as
+// allow_unsigned (and, if configured, only from their allowed IPs).
+export async function verifyWebhookSignature(req, res, next) {
+  const relayKey = req.headers['x-relay-id'];
+  const signature = req.headers['x-webhook-signature'];
+  const timestamp = req.headers['x-webhook-timestamp'];
+  const nonce = req.headers['x-webhook-nonce'];
+
+  if (!relayKey) {
+    return reject(res, 401, 'RELAY_REQUIRED', 'Missing X-Relay-Id header');
+  }
+
+  try {
+    const relay = await relayManager.findActiveRelay(relayKey);
+    if (!relay) {
+      return reject(res, 401, 'UNKNOWN_RELAY', 'Relay is not registered or disabled');
+    }
+
+    // req.ip only follows X-Forwarded-For through the proxies TRUST_PROXY
+    // names, so clients cannot pick the address checked here
+    if (!isIpAllowed(relay, req.ip)) {
+      return reject(res, 403, 'RELAY_IP_NOT_ALLOWED', 'Request did not come from an allowed relay address');
+    }
+
+    if (!signature) {
+      if (relay.allow_unsigned) {
+        req.relay = relay;
+        return next();
+      }
+      return reject(res, 401, 'SIGNATURE_REQUIRED', 'Unsigned webhook requests are not allowed for this relay');
+    }
+
+    if (!timestamp || !nonce) {
+      return reject(res, 401, 'INVALID_SIGNATURE', 'Signed requests require X-Webhook-Timestamp and X-Webhook-Nonce');
+    }
+
+    const sentAt = parseInt(timestamp);
+    const now = Math.floor(Date.now() / 1000);
+    if (!Number.isFinite(sentAt) || Math.abs(now - sentAt) > SIGNATURE_TOLERANCE) {
+      return reject(res, 401, 'STALE_REQUEST', 'Webhook timestamp is outside the allowed window');
+    }
+
+    const secrets = await relayManager.getValidSecrets(relay.id);
+    if (!relayManager.matchesAnySecret(secrets, signature, timestamp, nonce, req.rawBody)) {
+      return reject(res, 401, 'INVALID_SIGNATURE', 'Webhook signature does not match');
+    }
+
+    // Only record the nonce once the signature checks out, so forged
+    // requests cannot burn nonces of legitimate deliveries
+    const isNew = await relayManager.recordNonce(relay.id, nonce);
+    if (!isNew) {
+      return reject(res, 409, 'REPLAYED_REQUEST', 'Webhook nonce has already been used');
+    }
+
+    req.relay = relay;
+    next();
+  } catch (error) {
+    console.error('Webhook signature verification failed:', error);
+    res.status(500).json({ error: 'Failed to verify webhook' });
+  }
+}
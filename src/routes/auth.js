@@ -6,6 +6,7 @@ import { pool } from '../db/init.js';
 import { authenticateToken, authenticateMasterPassword } from '../middleware/auth.js';
 import { mailTransporter } from '../index.js';
 import { getPasswordResetEmailTemplate } from '../templates/passwordReset.js';
+import { REMOTE_IMAGE_MODES } from '../services/imageProxy.js';
 
 const router = express.Router();
 
@@ -292,4 +293,45 @@ router.post('/change-email', authenticateToken, async (req, res) => {
   }
 });
 
+// Get reading preferences
+router.get('/preferences', authenticateToken, async (req, res) => {
+  try {
+    const [users] = await pool.query(
+      'SELECT remote_images FROM users WHERE id = ?',
+      [req.user.id]
+    );
+
+    if (users.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ remoteImages: users[0].remote_images });
+  } catch (error) {
+    console.error('Failed to fetch preferences:', error);
+    res.status(500).json({ error: 'Failed to fetch preferences' });
+  }
+});
+
+// Update reading preferences. remoteImages: "load" (straight from the
+// sender), "proxy" (through /images/proxy) or "block"
+router.patch('/preferences', authenticateToken, async (req, res) => {
+  try {
+    const { remoteImages } = req.body;
+
+    if (!REMOTE_IMAGE_MODES.includes(remoteImages)) {
+      return res.status(400).json({ error: `remoteImages must be one of: ${REMOTE_IMAGE_MODES.join(', ')}` });
+    }
+
+    await pool.query(
+      'UPDATE users SET remote_images = ? WHERE id = ?',
+      [remoteImages, req.user.id]
+    );
+
+    res.json({ message: 'Preferences updated successfully', remoteImages });
+  } catch (error) {
+    console.error('Failed to update preferences:', error);
+    res.status(500).json({ error: 'Failed to update preferences' });
+  }
+});
+
 export default router;
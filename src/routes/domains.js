@@ -2,6 +2,7 @@ import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
 import { authenticateToken, requireAdmin } from '../middleware/auth.js';
 import { pool } from '../db/init.js';
+import { parseExclusions } from '../services/emailRouter.js';
 
 const router = express.Router();
 
@@ -254,6 +255,140 @@ router.post('/forward/:id', authenticateToken, async (req, res) => {
   }
 });
 
+const DEFAULT_CATCH_ALL_LIMIT = 100;
+const MAX_CATCH_ALL_LIMIT = 10000;
+
+// Get catch-all settings for a custom domain
+router.get('/custom/:id/catch-all', authenticateToken, async (req, res) => {
+  try {
+    const [domain] = await pool.query(
+      'SELECT * FROM user_domains WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (domain.length === 0) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    const [settings] = await pool.query(
+      'SELECT * FROM domain_catch_all WHERE domain_id = ?',
+      [req.params.id]
+    );
+
+    const [countResult] = await pool.query(
+      'SELECT COUNT(*) as total FROM temp_emails WHERE domain_id = ? AND auto_created = 1',
+      [req.params.id]
+    );
+
+    res.json({
+      enabled: Boolean(settings[0]?.is_enabled),
+      maxInboxes: settings[0]?.max_auto_inboxes ?? DEFAULT_CATCH_ALL_LIMIT,
+      excludedLocalParts: parseExclusions(settings[0]?.excluded_local_parts),
+      autoCreatedCount: countResult[0].total
+    });
+  } catch (error) {
+    console.error('Failed to fetch catch-all settings:', error);
+    res.status(500).json({ error: 'Failed to fetch catch-all settings' });
+  }
+});
+
+// Update catch-all settings (enabled, maxInboxes, excludedLocalParts)
+router.put('/custom/:id/catch-all', authenticateToken, async (req, res) => {
+  try {
+    const { enabled, maxInboxes, excludedLocalParts } = req.body;
+
+    const [domain] = await pool.query(
+      'SELECT * FROM user_domains WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (domain.length === 0) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    if (enabled && !domain[0].is_verified) {
+      return res.status(400).json({ error: 'Domain must be verified before enabling catch-all' });
+    }
+
+    const limit = maxInboxes === undefined ? DEFAULT_CATCH_ALL_LIMIT : parseInt(maxInboxes);
+    if (!Number.isInteger(limit) || limit < 0 || limit > MAX_CATCH_ALL_LIMIT) {
+      return res.status(400).json({ error: `maxInboxes must be between 0 and ${MAX_CATCH_ALL_LIMIT}` });
+    }
+
+    if (excludedLocalParts !== undefined && (
+      !Array.isArray(excludedLocalParts) ||
+      excludedLocalParts.some(part => typeof part !== 'string' || !/^[a-zA-Z0-9._+*-]+$/.test(part))
+    )) {
+      return res.status(400).json({ error: 'excludedLocalParts must be a list of local parts (* allowed as wildcard)' });
+    }
+
+    const exclusions = JSON.stringify((excludedLocalParts || []).map(part => part.toLowerCase()));
+
+    await pool.query(
+      `INSERT INTO domain_catch_all (domain_id, is_enabled, max_auto_inboxes, excluded_local_parts)
+       VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         is_enabled = VALUES(is_enabled),
+         max_auto_inboxes = VALUES(max_auto_inboxes),
+         excluded_local_parts = VALUES(excluded_local_parts)`,
+      [req.params.id, Boolean(enabled), limit, exclusions]
+    );
+
+    res.json({ message: 'Catch-all settings updated successfully' });
+  } catch (error) {
+    console.error('Failed to update catch-all settings:', error);
+    res.status(500).json({ error: 'Failed to update catch-all settings' });
+  }
+});
+
+// List inboxes auto-created by catch-all delivery
+router.get('/custom/:id/catch-all/inboxes', authenticateToken, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+
+    const [domain] = await pool.query(
+      'SELECT id FROM user_domains WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (domain.length === 0) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    const [countResult] = await pool.query(
+      'SELECT COUNT(*) as total FROM temp_emails WHERE domain_id = ? AND auto_created = 1',
+      [req.params.id]
+    );
+
+    const totalCount = countResult[0].total;
+
+    const [inboxes] = await pool.query(`
+      SELECT te.*, COUNT(re.id) as received_count
+      FROM temp_emails te
+      LEFT JOIN received_emails re ON re.temp_email_id = te.id
+      WHERE te.domain_id = ? AND te.auto_created = 1
+      GROUP BY te.id
+      ORDER BY te.created_at DESC
+      LIMIT ? OFFSET ?
+    `, [req.params.id, limit, offset]);
+
+    res.json({
+      data: inboxes,
+      metadata: {
+        total: totalCount,
+        page: page,
+        limit: limit,
+        pages: Math.ceil(totalCount / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Failed to fetch catch-all inboxes:', error);
+    res.status(500).json({ error: 'Failed to fetch catch-all inboxes' });
+  }
+});
+
 // Delete custom domain
 router.delete('/custom/:id', authenticateToken, async (req, res) => {
   const connection = await pool.getConnection();
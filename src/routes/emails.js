@@ -1,11 +1,91 @@
 import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, authenticateEventsToken, authenticateInboxToken, signEventsToken, signInboxToken } from '../middleware/auth.js';
 import { pool } from '../db/init.js';
+import { AttachmentStore } from '../services/attachmentStore.js';
+import { ImageProxy, REMOTE_IMAGE_MODES, DEFAULT_REMOTE_IMAGE_MODE } from '../services/imageProxy.js';
+import { receivedTimeline } from '../utils/mailHeaders.js';
+import { MailSearch, SearchQueryError, escapeLike } from '../services/mailSearch.js';
+import { QuotaManager, QUOTA_POLICIES, QUOTA_LIMITS } from '../services/quotaManager.js';
+import inboxEvents, { INBOX_EVENT } from '../services/inboxEvents.js';
 import compression from 'compression';
 import { rateLimitMiddleware, verifyCaptcha, checkCaptchaRequired, rateLimitStore } from '../middleware/rateLimit.js';
 
 const router = express.Router();
+const attachmentStore = new AttachmentStore();
+const imageProxy = new ImageProxy();
+const mailSearch = new MailSearch();
+const quotaManager = new QuotaManager();
+
+// received_emails.message_type values; bounces are delivery status
+// notifications (see utils/bounceParser.js)
+const MESSAGE_TYPES = ['message', 'bounce'];
+
+// Attachment metadata returned by the listing endpoints. is_inline marks
+// parts shown inside the HTML body (cid: images), which clients usually
+// leave out of the attachment list.
+const ATTACHMENT_FIELDS = 'ea.id, ea.filename, ea.content_type, COALESCE(ab.size, ea.size) as size, ea.content_id, ea.is_inline, ea.created_at';
+
+// Remote images in received HTML are rewritten when read, following the
+// reader's preference (users.remote_images); ?images=load|proxy|block
+// overrides it for one request
+async function getRemoteImageMode(req) {
+  if (REMOTE_IMAGE_MODES.includes(req.query.images)) return req.query.images;
+  if (!req.user) return DEFAULT_REMOTE_IMAGE_MODE;
+
+  const [users] = await pool.query('SELECT remote_images FROM users WHERE id = ?', [req.user.id]);
+  return users[0]?.remote_images || DEFAULT_REMOTE_IMAGE_MODE;
+}
+
+function applyRemoteImageMode(emails, mode) {
+  return emails.map(email => ({ ...email, body_html: imageProxy.rewriteHtml(email.body_html, mode) }));
+}
+
+// Search received mail across all of the user's inboxes, e.g.
+// ?q=invoice from:acme.com has:attachment after:2024-01-01. Operators:
+// from:, to:, subject:, has:attachment, before:, after:, in:<inbox>.
+// Registered before /:id so "search" is not taken for an inbox id.
+router.get('/search', authenticateToken, async (req, res) => {
+  try {
+    const query = String(req.query.q || '').trim();
+    if (!query) {
+      return res.status(400).json({ error: 'Search query is required' });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const { results, total, limit } = await mailSearch.search(req.user.id, query, {
+      page,
+      limit: parseInt(req.query.limit) || 20
+    });
+
+    res.json({
+      data: results,
+      metadata: {
+        total: total,
+        page: page,
+        limit: limit,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    if (error instanceof SearchQueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Failed to search emails:', error);
+    res.status(400).json({ error: 'Failed to search emails' });
+  }
+});
+
+// Storage limits and current consumption (bytes and messages), in total
+// and per inbox
+router.get('/usage', authenticateToken, async (req, res) => {
+  try {
+    res.json(await quotaManager.getUsageReport(req.user.id));
+  } catch (error) {
+    console.error('Failed to fetch storage usage:', error);
+    res.status(400).json({ error: 'Failed to fetch storage usage' });
+  }
+});
 
 // Get a specific temporary email
 router.get('/:id', authenticateToken, async (req, res) => {
@@ -25,19 +105,165 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// Get received emails for a specific temporary email with pagination
+// Update inbox settings (plusAddressing, quotaPolicy). quotaPolicy decides
+// what happens to new mail when the inbox is full: "reject" or "evict"
+// the oldest messages; null follows the account default.
+router.patch('/:id/settings', authenticateToken, async (req, res) => {
+  try {
+    const { plusAddressing, quotaPolicy } = req.body;
+    const updates = [];
+    const params = [];
+
+    if (plusAddressing !== undefined) {
+      if (typeof plusAddressing !== 'boolean') {
+        return res.status(400).json({ error: 'plusAddressing must be true or false' });
+      }
+      updates.push('plus_addressing_enabled = ?');
+      params.push(plusAddressing);
+    }
+
+    if (quotaPolicy !== undefined) {
+      if (quotaPolicy !== null && !QUOTA_POLICIES.includes(quotaPolicy)) {
+        return res.status(400).json({ error: `quotaPolicy must be one of: ${QUOTA_POLICIES.join(', ')}` });
+      }
+      updates.push('quota_policy = ?');
+      params.push(quotaPolicy);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No settings to update' });
+    }
+
+    const [result] = await pool.query(
+      `UPDATE temp_emails SET ${updates.join(', ')} WHERE id = ? AND user_id = ?`,
+      [...params, req.params.id, req.user.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    res.json({ message: 'Settings updated successfully', plusAddressing, quotaPolicy });
+  } catch (error) {
+    console.error('Failed to update email settings:', error);
+    res.status(400).json({ error: 'Failed to update email settings' });
+  }
+});
+
+// Comment lines sent on idle event streams so proxies keep them open
+const EVENT_STREAM_HEARTBEAT_MS = 25000;
+
+// Server-Sent Events stream of an inbox: an "email" event with the
+// message summary whenever one is stored, "deleted" and "inbox_deleted"
+// when mail or the inbox goes away. Clients resume after a reconnect with
+// the Last-Event-ID header (or ?lastEventId=).
+async function streamInboxEvents(req, res, inboxId) {
+  const lastEventId = parseInt(req.headers['last-event-id'] ?? req.query.lastEventId);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    // no-transform keeps the compression middleware from buffering events
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 3000\n\n');
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), EVENT_STREAM_HEARTBEAT_MS);
+  let unsubscribe = null;
+  let closed = false;
+
+  req.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+  });
+
+  try {
+    const subscription = await inboxEvents.subscribe(inboxId, {
+      lastEventId: Number.isInteger(lastEventId) && lastEventId >= 0 ? lastEventId : null,
+      onEvent: event => res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`)
+    });
+
+    if (closed) subscription();
+    else unsubscribe = subscription;
+  } catch (error) {
+    console.error('Failed to subscribe to inbox events:', error);
+    clearInterval(heartbeat);
+    res.end();
+  }
+}
+
+// Short-lived token for opening the event stream from a browser:
+// GET /emails/:id/events?accessToken=<token>
+router.post('/:id/events/token', authenticateToken, async (req, res) => {
+  try {
+    const [tempEmails] = await pool.query(
+      'SELECT id FROM temp_emails WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (tempEmails.length === 0) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    res.json({ access_token: signEventsToken(req.user.id, tempEmails[0].id) });
+  } catch (error) {
+    console.error('Failed to issue event stream token:', error);
+    res.status(400).json({ error: 'Failed to issue event stream token' });
+  }
+});
+
+router.get('/:id/events', authenticateEventsToken, async (req, res) => {
+  try {
+    const [tempEmails] = await pool.query(
+      'SELECT id FROM temp_emails WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (tempEmails.length === 0) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    await streamInboxEvents(req, res, tempEmails[0].id);
+  } catch (error) {
+    console.error('Failed to open inbox event stream:', error);
+    res.status(400).json({ error: 'Failed to open inbox event stream' });
+  }
+});
+
+// Get received emails for a specific temporary email with pagination.
+// ?tag=<tag> limits results to mail sent to name+tag@domain, ?type=bounce
+// (or message) to delivery failure reports (or other mail).
 router.get('/:id/received', authenticateToken, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const offset = (page - 1) * limit;
+    const tag = req.query.tag || '';
+
+    let filter = 'WHERE te.id = ? AND te.user_id = ?';
+    const filterParams = [req.params.id, req.user.id];
+
+    if (tag) {
+      filter += ' AND re.subaddress_tag = ?';
+      filterParams.push(tag);
+    }
+
+    if (req.query.type) {
+      if (!MESSAGE_TYPES.includes(req.query.type)) {
+        return res.status(400).json({ error: `type must be one of: ${MESSAGE_TYPES.join(', ')}` });
+      }
+      filter += ' AND re.message_type = ?';
+      filterParams.push(req.query.type);
+    }
 
     const [countResult] = await pool.query(`
       SELECT COUNT(*) as total
       FROM received_emails re
       JOIN temp_emails te ON re.temp_email_id = te.id
-      WHERE te.id = ? AND te.user_id = ?
-    `, [req.params.id, req.user.id]);
+      ${filter}
+    `, filterParams);
 
     const totalCount = countResult[0].total;
 
@@ -45,13 +271,13 @@ router.get('/:id/received', authenticateToken, async (req, res) => {
       SELECT re.*, te.email as temp_email
       FROM received_emails re
       JOIN temp_emails te ON re.temp_email_id = te.id
-      WHERE te.id = ? AND te.user_id = ?
+      ${filter}
       ORDER BY re.received_at DESC
       LIMIT ? OFFSET ?
-    `, [req.params.id, req.user.id, limit, offset]);
+    `, [...filterParams, limit, offset]);
 
     res.json({
-      data: emails,
+      data: applyRemoteImageMode(emails, await getRemoteImageMode(req)),
       metadata: {
         total: totalCount,
         page: page,
@@ -65,6 +291,311 @@ router.get('/:id/received', authenticateToken, async (req, res) => {
   }
 });
 
+// Get received emails grouped into conversations, most recent first.
+// Each thread carries its message count and its latest message.
+router.get('/:id/threads', authenticateToken, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+
+    const [tempEmails] = await pool.query(
+      'SELECT id, email FROM temp_emails WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (tempEmails.length === 0) {
+      return res.status(404).json({ error: 'Temporary email not found' });
+    }
+
+    // Messages stored before threading have no thread_id and stand alone
+    const [countResult] = await pool.query(`
+      SELECT COUNT(DISTINCT COALESCE(thread_id, id)) as total
+      FROM received_emails
+      WHERE temp_email_id = ?
+    `, [req.params.id]);
+
+    const totalCount = countResult[0].total;
+
+    const [emails] = await pool.query(`
+      SELECT * FROM (
+        SELECT re.*,
+          COALESCE(re.thread_id, re.id) as conversation_id,
+          COUNT(*) OVER (PARTITION BY COALESCE(re.thread_id, re.id)) as message_count,
+          MIN(re.received_at) OVER (PARTITION BY COALESCE(re.thread_id, re.id)) as first_received_at,
+          ROW_NUMBER() OVER (
+            PARTITION BY COALESCE(re.thread_id, re.id)
+            ORDER BY re.received_at DESC, re.id DESC
+          ) as thread_row
+        FROM received_emails re
+        WHERE re.temp_email_id = ?
+      ) threads
+      WHERE thread_row = 1
+      ORDER BY received_at DESC
+      LIMIT ? OFFSET ?
+    `, [req.params.id, limit, offset]);
+
+    const mode = await getRemoteImageMode(req);
+    const threads = emails.map(({ conversation_id, message_count, first_received_at, thread_row, ...email }) => ({
+      threadId: conversation_id,
+      subject: email.subject,
+      messageCount: message_count,
+      firstReceivedAt: first_received_at,
+      lastReceivedAt: email.received_at,
+      latestMessage: applyRemoteImageMode([{ ...email, temp_email: tempEmails[0].email }], mode)[0]
+    }));
+
+    res.json({
+      data: threads,
+      metadata: {
+        total: totalCount,
+        page: page,
+        limit: limit,
+        pages: Math.ceil(totalCount / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Failed to fetch email threads:', error);
+    res.status(400).json({ error: 'Failed to fetch email threads' });
+  }
+});
+
+// ?from= matches one address, or every address of a domain and its subdomains
+function senderFilter(value) {
+  const from = String(value).toLowerCase();
+  return from.includes('@') ?
+    { clause: 're.from_email = ?', params: [from] } :
+    { clause: '(re.from_email LIKE ? OR re.from_email LIKE ?)', params: [`%@${from}`, `%.${from}`] };
+}
+
+// Latest one-time code or confirmation link detected in an inbox, for
+// automated signup tests. ?since=<ISO date> ignores older mail and
+// ?from=<address or domain> limits it to one sender.
+async function sendLatestVerification(req, res, { column, field, label }) {
+  try {
+    let filter = `WHERE te.id = ? AND te.user_id = ? AND re.${column} IS NOT NULL`;
+    const filterParams = [req.params.id, req.user.id];
+
+    if (req.query.since) {
+      const since = new Date(req.query.since);
+      if (Number.isNaN(since.getTime())) {
+        return res.status(400).json({ error: 'since must be a valid date' });
+      }
+      filter += ' AND re.received_at > ?';
+      filterParams.push(since);
+    }
+
+    if (req.query.from) {
+      const sender = senderFilter(req.query.from);
+      filter += ` AND ${sender.clause}`;
+      filterParams.push(...sender.params);
+    }
+
+    const [emails] = await pool.query(`
+      SELECT re.id, re.from_email, re.subject, re.received_at, re.${column}
+      FROM received_emails re
+      JOIN temp_emails te ON re.temp_email_id = te.id
+      ${filter}
+      ORDER BY re.received_at DESC
+      LIMIT 1
+    `, filterParams);
+
+    if (emails.length === 0) {
+      return res.status(404).json({ error: `No ${label} found` });
+    }
+
+    const email = emails[0];
+    res.json({
+      [field]: email[column],
+      emailId: email.id,
+      from: email.from_email,
+      subject: email.subject,
+      receivedAt: email.received_at
+    });
+  } catch (error) {
+    console.error(`Failed to fetch latest ${label}:`, error);
+    res.status(400).json({ error: `Failed to fetch latest ${label}` });
+  }
+}
+
+router.get('/:id/latest-code', authenticateToken, async (req, res) => {
+  await sendLatestVerification(req, res, { column: 'verification_code', field: 'code', label: 'verification code' });
+});
+
+router.get('/:id/latest-link', authenticateToken, async (req, res) => {
+  await sendLatestVerification(req, res, { column: 'verification_link', field: 'link', label: 'verification link' });
+});
+
+// Long-poll limits of the wait endpoints, in seconds
+const WAIT_DEFAULT_TIMEOUT = 30;
+const WAIT_MAX_TIMEOUT = 120;
+const MAX_SUBJECT_FILTER_LENGTH = 200;
+
+// Wait up to ?timeout= seconds for the first message matching the filters
+// (?from=, ?subject=<text the subject contains, any case>) and send it, or
+// 408 when none arrives. Only mail received after the request started
+// counts, unless ?since=<ISO date> reaches further back. While waiting the
+// request only listens for the inbox's events and holds no database
+// connection.
+async function waitForEmail(req, res, inboxId) {
+  const timeout = req.query.timeout === undefined ? WAIT_DEFAULT_TIMEOUT : Number(req.query.timeout);
+  if (!Number.isFinite(timeout) || timeout < 0 || timeout > WAIT_MAX_TIMEOUT) {
+    return res.status(400).json({ error: `timeout must be between 0 and ${WAIT_MAX_TIMEOUT} seconds` });
+  }
+
+  let filter = 'WHERE re.temp_email_id = ?';
+  const filterParams = [inboxId];
+
+  if (req.query.since) {
+    const since = new Date(req.query.since);
+    if (Number.isNaN(since.getTime())) {
+      return res.status(400).json({ error: 'since must be a valid date' });
+    }
+    filter += ' AND re.received_at > ?';
+    filterParams.push(since);
+  } else {
+    // received_at has whole seconds, so mail stored earlier in the same
+    // second as the request is excluded by id
+    const [[{ now }]] = await pool.query('SELECT NOW() as now');
+    const [existing] = await pool.query(
+      'SELECT id FROM received_emails WHERE temp_email_id = ? AND received_at >= ?',
+      [inboxId, now]
+    );
+    filter += ' AND re.received_at >= ?';
+    filterParams.push(now);
+    if (existing.length > 0) {
+      filter += ' AND re.id NOT IN (?)';
+      filterParams.push(existing.map(email => email.id));
+    }
+  }
+
+  if (req.query.from) {
+    const sender = senderFilter(req.query.from);
+    filter += ` AND ${sender.clause}`;
+    filterParams.push(...sender.params);
+  }
+
+  if (req.query.subject) {
+    const subject = String(req.query.subject);
+    if (subject.length > MAX_SUBJECT_FILTER_LENGTH) {
+      return res.status(400).json({ error: `subject must be at most ${MAX_SUBJECT_FILTER_LENGTH} characters` });
+    }
+    filter += ' AND re.subject LIKE ?';
+    filterParams.push(`%${escapeLike(subject)}%`);
+  }
+
+  const mode = await getRemoteImageMode(req);
+  let done = false;
+  let unsubscribe = null;
+  let timer = null;
+  let checking = false;
+  let checkAgain = false;
+
+  const finish = (status, body) => {
+    if (done) return;
+    done = true;
+    clearTimeout(timer);
+    if (unsubscribe) unsubscribe();
+    if (status) res.status(status).json(body);
+  };
+
+  // Look for a match; a new message arriving during a lookup triggers
+  // another one afterwards
+  const check = async () => {
+    if (checking) {
+      checkAgain = true;
+      return;
+    }
+    checking = true;
+
+    try {
+      do {
+        checkAgain = false;
+        const [emails] = await pool.query(`
+          SELECT re.*, te.email as temp_email
+          FROM received_emails re
+          JOIN temp_emails te ON re.temp_email_id = te.id
+          ${filter}
+          ORDER BY re.received_at ASC, re.id ASC
+          LIMIT 1
+        `, filterParams);
+
+        if (emails.length > 0) return finish(200, applyRemoteImageMode(emails, mode)[0]);
+      } while (checkAgain && !done);
+    } catch (error) {
+      console.error('Failed to wait for email:', error);
+      finish(400, { error: 'Failed to wait for email' });
+    } finally {
+      checking = false;
+    }
+  };
+
+  res.on('close', () => finish());
+
+  // Subscribed before the first lookup, so a message stored in between
+  // is not missed
+  const subscription = await inboxEvents.subscribe(inboxId, {
+    onEvent: event => {
+      if (event.type === INBOX_EVENT.EMAIL) check();
+      if (event.type === INBOX_EVENT.INBOX_DELETED) finish(404, { error: 'Email not found' });
+    }
+  });
+  if (done) return subscription();
+  unsubscribe = subscription;
+
+  await check();
+  if (done) return;
+
+  timer = setTimeout(() => finish(408, {
+    error: 'No matching email received before the timeout',
+    timeout: true
+  }), timeout * 1000);
+}
+
+router.get('/:id/wait', authenticateToken, async (req, res) => {
+  try {
+    const [tempEmails] = await pool.query(
+      'SELECT id FROM temp_emails WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (tempEmails.length === 0) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    await waitForEmail(req, res, tempEmails[0].id);
+  } catch (error) {
+    console.error('Failed to wait for email:', error);
+    if (!res.headersSent) res.status(400).json({ error: 'Failed to wait for email' });
+  }
+});
+
+// Get the messages of one conversation, oldest first
+router.get('/:tempEmailId/threads/:threadId', authenticateToken, async (req, res) => {
+  try {
+    const [emails] = await pool.query(`
+      SELECT re.*, te.email as temp_email
+      FROM received_emails re
+      JOIN temp_emails te ON re.temp_email_id = te.id
+      WHERE te.id = ? AND te.user_id = ? AND COALESCE(re.thread_id, re.id) = ?
+      ORDER BY re.received_at ASC
+    `, [req.params.tempEmailId, req.user.id, req.params.threadId]);
+
+    if (emails.length === 0) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+
+    res.json({
+      threadId: req.params.threadId,
+      messageCount: emails.length,
+      data: applyRemoteImageMode(emails, await getRemoteImageMode(req))
+    });
+  } catch (error) {
+    console.error('Failed to fetch email thread:', error);
+    res.status(400).json({ error: 'Failed to fetch email thread' });
+  }
+});
+
 // Create email with rate limit and optional CAPTCHA verification
 router.post('/create', authenticateToken, rateLimitMiddleware, checkCaptchaRequired, verifyCaptcha, async (req, res) => {
   try {
@@ -162,7 +693,9 @@ router.delete('/delete/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Email not found' });
     }
 
+    await inboxEvents.publish(connection, req.params.id, INBOX_EVENT.INBOX_DELETED, {});
     await connection.commit();
+    inboxEvents.wake();
     res.json({ message: 'Email deleted successfully' });
   } catch (error) {
     await connection.rollback();
@@ -220,6 +753,18 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+// Tell live clients (event streams, WebSocket subscribers) about deleted
+// messages; the deletion itself has already happened, so a failure here
+// only costs them the event
+async function publishDeletion(inboxId, ids) {
+  try {
+    await inboxEvents.publish(pool, inboxId, INBOX_EVENT.DELETED, { ids });
+    inboxEvents.wake();
+  } catch (error) {
+    console.error('Failed to publish deletion event:', error);
+  }
+}
+
 // Delete a received email
 router.delete('/:tempEmailId/received/:emailId', authenticateToken, async (req, res) => {
   try {
@@ -241,6 +786,7 @@ router.delete('/:tempEmailId/received/:emailId', authenticateToken, async (req,
       return res.status(404).json({ error: 'Received email not found' });
     }
 
+    await publishDeletion(req.params.tempEmailId, [req.params.emailId]);
     res.json({ message: 'Email deleted successfully' });
   } catch (error) {
     console.error('Failed to delete received email:', error);
@@ -248,6 +794,268 @@ router.delete('/:tempEmailId/received/:emailId', authenticateToken, async (req,
   }
 });
 
+// Send the stored RFC 822 source of a received email as an .eml download
+function sendOriginalSource(res, source, emailId) {
+  res.setHeader('Content-Type', 'message/rfc822');
+  res.setHeader('Content-Disposition', `attachment; filename="${emailId}.eml"`);
+  res.setHeader('Content-Length', source.size);
+  res.send(source.raw_source);
+}
+
+// Download the original source of a received email
+router.get('/:tempEmailId/received/:emailId/original', authenticateToken, async (req, res) => {
+  try {
+    const [sources] = await pool.query(`
+      SELECT rs.raw_source, rs.size
+      FROM received_email_sources rs
+      JOIN received_emails re ON rs.email_id = re.id
+      JOIN temp_emails te ON re.temp_email_id = te.id
+      WHERE re.id = ? AND te.id = ? AND te.user_id = ?
+    `, [req.params.emailId, req.params.tempEmailId, req.user.id]);
+
+    if (sources.length === 0) {
+      return res.status(404).json({ error: 'Original message not found' });
+    }
+
+    sendOriginalSource(res, sources[0], req.params.emailId);
+  } catch (error) {
+    console.error('Failed to fetch original email:', error);
+    res.status(400).json({ error: 'Failed to fetch original email' });
+  }
+});
+
+// Filename for Content-Disposition: a plain ASCII fallback plus the
+// RFC 5987 encoded original
+function contentDisposition(filename) {
+  const name = filename || 'attachment';
+  const fallback = name.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(name)}`;
+}
+
+// Stream an attachment, honouring single byte ranges (Range: bytes=...)
+async function sendAttachment(req, res, attachment) {
+  const size = attachment.blob_hash ?
+    Number(attachment.size) :
+    Buffer.byteLength(attachment.content || '', 'base64');
+
+  const ranges = size > 0 ? req.range(size, { combine: true }) : undefined;
+  if (ranges === -1) {
+    res.setHeader('Content-Range', `bytes */${size}`);
+    return res.status(416).end();
+  }
+
+  // Malformed or multi-part ranges are answered with the full content
+  const range = Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1 ?
+    ranges[0] :
+    null;
+
+  // Open the content before any header is sent, so a missing blob can
+  // still be reported as an error
+  const stream = req.method === 'HEAD' || size === 0 ?
+    null :
+    await attachmentStore.getStream(attachment, range || {});
+
+  res.setHeader('Content-Type', attachment.content_type || 'application/octet-stream');
+  res.setHeader('Content-Disposition', contentDisposition(attachment.filename));
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('Accept-Ranges', 'bytes');
+  // no-transform keeps the compression middleware away from byte ranges
+  res.setHeader('Cache-Control', 'private, no-transform');
+
+  if (range) {
+    res.status(206);
+    res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+    res.setHeader('Content-Length', range.end - range.start + 1);
+  } else {
+    res.setHeader('Content-Length', size);
+  }
+
+  if (!stream) {
+    return res.end();
+  }
+
+  stream.on('error', (error) => {
+    console.error('Failed to stream attachment:', error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+}
+
+// Shared by the authenticated and public download routes; `ownership`
+// restricts the lookup to attachments the caller may read
+async function downloadAttachment(req, res, ownership, params) {
+  try {
+    const [attachments] = await pool.query(`
+      SELECT ea.*, COALESCE(ab.size, ea.size) as size
+      FROM email_attachments ea
+      LEFT JOIN attachment_blobs ab ON ea.blob_hash = ab.hash
+      JOIN received_emails re ON ea.email_id = re.id
+      JOIN temp_emails te ON re.temp_email_id = te.id
+      WHERE ea.id = ? AND re.id = ? AND ${ownership}
+    `, [req.params.attachmentId, req.params.emailId, ...params]);
+
+    if (attachments.length === 0) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    await sendAttachment(req, res, attachments[0]);
+  } catch (error) {
+    console.error('Failed to download attachment:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(400).json({ error: 'Failed to download attachment' });
+  }
+}
+
+// List the attachments of a received email
+router.get('/:tempEmailId/received/:emailId/attachments', authenticateToken, async (req, res) => {
+  try {
+    const [receivedEmails] = await pool.query(`
+      SELECT re.id
+      FROM received_emails re
+      JOIN temp_emails te ON re.temp_email_id = te.id
+      WHERE re.id = ? AND te.id = ? AND te.user_id = ?
+    `, [req.params.emailId, req.params.tempEmailId, req.user.id]);
+
+    if (receivedEmails.length === 0) {
+      return res.status(404).json({ error: 'Received email not found' });
+    }
+
+    const [attachments] = await pool.query(`
+      SELECT ${ATTACHMENT_FIELDS}
+      FROM email_attachments ea
+      LEFT JOIN attachment_blobs ab ON ea.blob_hash = ab.hash
+      WHERE ea.email_id = ?
+      ORDER BY ea.created_at, ea.filename
+    `, [req.params.emailId]);
+
+    res.json(attachments);
+  } catch (error) {
+    console.error('Failed to fetch attachments:', error);
+    res.status(400).json({ error: 'Failed to fetch attachments' });
+  }
+});
+
+// Download an attachment of a received email
+router.get('/:tempEmailId/received/:emailId/attachments/:attachmentId', authenticateToken, async (req, res) => {
+  await downloadAttachment(req, res, 'te.id = ? AND te.user_id = ?', [req.params.tempEmailId, req.user.id]);
+});
+
+// Privacy report of a received email: what HTML sanitization removed
+// (scripts, event handlers, tracking images). Emails received before
+// sanitization was introduced have no report.
+function sendPrivacyReport(res, email) {
+  res.json({
+    emailId: email.id,
+    sanitized: email.privacy_report !== null,
+    report: email.privacy_report ? JSON.parse(email.privacy_report) : null
+  });
+}
+
+router.get('/:tempEmailId/received/:emailId/privacy', authenticateToken, async (req, res) => {
+  try {
+    const [receivedEmails] = await pool.query(`
+      SELECT re.id, re.privacy_report
+      FROM received_emails re
+      JOIN temp_emails te ON re.temp_email_id = te.id
+      WHERE re.id = ? AND te.id = ? AND te.user_id = ?
+    `, [req.params.emailId, req.params.tempEmailId, req.user.id]);
+
+    if (receivedEmails.length === 0) {
+      return res.status(404).json({ error: 'Received email not found' });
+    }
+
+    sendPrivacyReport(res, receivedEmails[0]);
+  } catch (error) {
+    console.error('Failed to fetch privacy report:', error);
+    res.status(400).json({ error: 'Failed to fetch privacy report' });
+  }
+});
+
+// "Show original": the stored headers of a received email in message
+// order, its authentication verdicts and the Received-chain timeline.
+// ownership is the temp_emails condition for the caller.
+async function showOriginal(req, res, ownership, params) {
+  try {
+    const [receivedEmails] = await pool.query(`
+      SELECT re.id, re.message_id, re.received_at, re.spf_result, re.dkim_result, re.dmarc_result, re.auth_results
+      FROM received_emails re
+      JOIN temp_emails te ON re.temp_email_id = te.id
+      WHERE re.id = ? AND ${ownership}
+    `, [req.params.emailId, ...params]);
+
+    if (receivedEmails.length === 0) {
+      return res.status(404).json({ error: 'Received email not found' });
+    }
+
+    const [headers] = await pool.query(
+      'SELECT name, value FROM received_email_headers WHERE email_id = ? ORDER BY position',
+      [req.params.emailId]
+    );
+
+    const email = receivedEmails[0];
+    res.json({
+      emailId: email.id,
+      messageId: email.message_id,
+      receivedAt: email.received_at,
+      authentication: {
+        spf: email.spf_result,
+        dkim: email.dkim_result,
+        dmarc: email.dmarc_result,
+        details: email.auth_results
+      },
+      headers,
+      timeline: receivedTimeline(headers)
+    });
+  } catch (error) {
+    console.error('Failed to fetch email headers:', error);
+    res.status(400).json({ error: 'Failed to fetch email headers' });
+  }
+}
+
+router.get('/:tempEmailId/received/:emailId/headers', authenticateToken, async (req, res) => {
+  await showOriginal(req, res, 'te.id = ? AND te.user_id = ?', [req.params.tempEmailId, req.user.id]);
+});
+
+// Parsed delivery status notification of a bounce: hard/soft
+// classification, failed recipients with status codes and diagnostics,
+// and the headers of the original message
+async function showBounce(req, res, ownership, params) {
+  try {
+    const [bounces] = await pool.query(`
+      SELECT reb.*
+      FROM received_email_bounces reb
+      JOIN received_emails re ON reb.email_id = re.id
+      JOIN temp_emails te ON re.temp_email_id = te.id
+      WHERE re.id = ? AND ${ownership}
+    `, [req.params.emailId, ...params]);
+
+    if (bounces.length === 0) {
+      return res.status(404).json({ error: 'Bounce not found' });
+    }
+
+    const bounce = bounces[0];
+    res.json({
+      emailId: bounce.email_id,
+      type: bounce.bounce_type,
+      recipient: bounce.recipient,
+      status: bounce.status_code,
+      action: bounce.action,
+      diagnostic: bounce.diagnostic,
+      reportingMta: bounce.reporting_mta,
+      ...JSON.parse(bounce.details)
+    });
+  } catch (error) {
+    console.error('Failed to fetch bounce details:', error);
+    res.status(400).json({ error: 'Failed to fetch bounce details' });
+  }
+}
+
+router.get('/:tempEmailId/received/:emailId/bounce', authenticateToken, async (req, res) => {
+  await showBounce(req, res, 'te.id = ? AND te.user_id = ?', [req.params.tempEmailId, req.user.id]);
+});
+
 // Bulk delete received emails
 router.post('/:tempEmailId/received/bulk/delete', authenticateToken, async (req, res) => {
   const { emailIds } = req.body;
@@ -266,11 +1074,20 @@ router.post('/:tempEmailId/received/bulk/delete', authenticateToken, async (req,
       return res.status(404).json({ error: 'Temporary email not found' });
     }
 
+    const [existing] = await pool.query(
+      'SELECT id FROM received_emails WHERE id IN (?) AND temp_email_id = ?',
+      [emailIds, req.params.tempEmailId]
+    );
+
     const [result] = await pool.query(
       'DELETE FROM received_emails WHERE id IN (?) AND temp_email_id = ?',
       [emailIds, req.params.tempEmailId]
     );
 
+    if (existing.length > 0) {
+      await publishDeletion(req.params.tempEmailId, existing.map(email => email.id));
+    }
+
     res.json({ 
       message: 'Emails deleted successfully',
       count: result.affectedRows
@@ -281,6 +1098,44 @@ router.post('/:tempEmailId/received/bulk/delete', authenticateToken, async (req,
   }
 });
 
+// Event stream of a public inbox (its access token required)
+router.get('/public/:email/events', authenticateInboxToken, async (req, res) => {
+  try {
+    const [tempEmails] = await pool.query(
+      'SELECT id FROM temp_emails WHERE id = ? AND email = ?',
+      [req.inboxId, req.params.email]
+    );
+
+    if (tempEmails.length === 0) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    await streamInboxEvents(req, res, tempEmails[0].id);
+  } catch (error) {
+    console.error('Failed to open inbox event stream:', error);
+    res.status(400).json({ error: 'Failed to open inbox event stream' });
+  }
+});
+
+// Wait for the next message of a public inbox (its access token required)
+router.get('/public/:email/wait', authenticateInboxToken, async (req, res) => {
+  try {
+    const [tempEmails] = await pool.query(
+      'SELECT id FROM temp_emails WHERE id = ? AND email = ?',
+      [req.inboxId, req.params.email]
+    );
+
+    if (tempEmails.length === 0) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    await waitForEmail(req, res, tempEmails[0].id);
+  } catch (error) {
+    console.error('Failed to wait for email:', error);
+    if (!res.headersSent) res.status(400).json({ error: 'Failed to wait for email' });
+  }
+});
+
 // Get public emails (no auth required)
 router.get('/public/:email', async (req, res) => {
   try {
@@ -293,13 +1148,100 @@ router.get('/public/:email', async (req, res) => {
       ORDER BY re.received_at DESC
     `, [req.params.email]);
 
-    res.json(emails);
+    res.json(applyRemoteImageMode(emails, await getRemoteImageMode(req)));
   } catch (error) {
     console.error('Failed to fetch public emails:', error);
     res.status(400).json({ error: 'Failed to fetch emails' });
   }
 });
 
+// Download the original source of a public email (no auth required)
+router.get('/public/:email/:emailId/original', async (req, res) => {
+  try {
+    const [sources] = await pool.query(`
+      SELECT rs.raw_source, rs.size
+      FROM received_email_sources rs
+      JOIN received_emails re ON rs.email_id = re.id
+      JOIN temp_emails te ON re.temp_email_id = te.id
+      WHERE re.id = ? AND te.email = ?
+    `, [req.params.emailId, req.params.email]);
+
+    if (sources.length === 0) {
+      return res.status(404).json({ error: 'Original message not found' });
+    }
+
+    sendOriginalSource(res, sources[0], req.params.emailId);
+  } catch (error) {
+    console.error('Failed to fetch public original email:', error);
+    res.status(400).json({ error: 'Failed to fetch original email' });
+  }
+});
+
+// List the attachments of a public email (no auth required)
+router.get('/public/:email/:emailId/attachments', async (req, res) => {
+  try {
+    const [receivedEmails] = await pool.query(`
+      SELECT re.id
+      FROM received_emails re
+      JOIN temp_emails te ON re.temp_email_id = te.id
+      WHERE re.id = ? AND te.email = ?
+    `, [req.params.emailId, req.params.email]);
+
+    if (receivedEmails.length === 0) {
+      return res.status(404).json({ error: 'Received email not found' });
+    }
+
+    const [attachments] = await pool.query(`
+      SELECT ${ATTACHMENT_FIELDS}
+      FROM email_attachments ea
+      LEFT JOIN attachment_blobs ab ON ea.blob_hash = ab.hash
+      WHERE ea.email_id = ?
+      ORDER BY ea.created_at, ea.filename
+    `, [req.params.emailId]);
+
+    res.json(attachments);
+  } catch (error) {
+    console.error('Failed to fetch public attachments:', error);
+    res.status(400).json({ error: 'Failed to fetch attachments' });
+  }
+});
+
+// Download an attachment of a public email (no auth required)
+router.get('/public/:email/:emailId/attachments/:attachmentId', async (req, res) => {
+  await downloadAttachment(req, res, 'te.email = ?', [req.params.email]);
+});
+
+// Privacy report of a public email (no auth required)
+router.get('/public/:email/:emailId/privacy', async (req, res) => {
+  try {
+    const [receivedEmails] = await pool.query(`
+      SELECT re.id, re.privacy_report
+      FROM received_emails re
+      JOIN temp_emails te ON re.temp_email_id = te.id
+      WHERE re.id = ? AND te.email = ?
+    `, [req.params.emailId, req.params.email]);
+
+    if (receivedEmails.length === 0) {
+      return res.status(404).json({ error: 'Received email not found' });
+    }
+
+    sendPrivacyReport(res, receivedEmails[0]);
+  } catch (error) {
+    console.error('Failed to fetch public privacy report:', error);
+    res.status(400).json({ error: 'Failed to fetch privacy report' });
+  }
+});
+
+// Headers and delivery timeline of a public email (no auth required)
+router.get('/public/:email/:emailId/headers', async (req, res) => {
+  await showOriginal(req, res, 'te.email = ?', [req.params.email]);
+});
+
+// Bounce details of a public email (no auth required)
+router.get('/public/:email/:emailId/bounce', async (req, res) => {
+  await showBounce(req, res, 'te.email = ?', [req.params.email]);
+});
+
 // Create public temporary email (no auth required) with rate limiting and CAPTCHA
 router.post('/public/create', rateLimitMiddleware, checkCaptchaRequired, verifyCaptcha, async (req, res) => {
   try {
@@ -336,13 +1278,37 @@ router.post('/public/create', rateLimitMiddleware, checkCaptchaRequired, verifyC
       [id]
     );
 
-    res.json(createdEmail[0]);
+    // Public inboxes have no owner account: this token gives access to the
+    // inbox's live events (WebSocket channel, event stream, wait)
+    res.json({ ...createdEmail[0], access_token: signInboxToken(createdEmail[0]) });
   } catch (error) {
     console.error('Create public email error:', error);
     res.status(400).json({ error: 'Failed to create temporary email' });
   }
 });
 
+// Issue a new access token for an existing public inbox, e.g. one created
+// before tokens existed or whose token was lost. Anyone who knows the
+// address can already read the inbox (GET /public/:email), so the address
+// is all it takes; inboxes owned by an account are not public.
+router.post('/public/:email/token', async (req, res) => {
+  try {
+    const [tempEmails] = await pool.query(
+      'SELECT id, expires_at FROM temp_emails WHERE email = ? AND user_id IS NULL AND expires_at > NOW()',
+      [req.params.email]
+    );
+
+    if (tempEmails.length === 0) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    res.json({ access_token: signInboxToken(tempEmails[0]) });
+  } catch (error) {
+    console.error('Failed to issue inbox access token:', error);
+    res.status(400).json({ error: 'Failed to issue access token' });
+  }
+});
+
 // Admin route to fetch all emails (admin-only)
 router.get('/admin/all', async (req, res) => {
   try {
@@ -385,6 +1351,54 @@ router.get('/admin/all', async (req, res) => {
   }
 });
 
+// Admin routes for a user's storage limits (admin-only). PUT takes
+// maxMessageBytes, inboxMaxBytes, inboxMaxMessages, userMaxBytes,
+// userMaxMessages (0: unlimited, null: default) and policy.
+router.get('/admin/quotas/:userId', async (req, res) => {
+  try {
+    const adminAccess = req.headers['admin-access'];
+    if (adminAccess !== process.env.ADMIN_PASSPHRASE) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+
+    res.json(await quotaManager.getUsageReport(req.params.userId));
+  } catch (error) {
+    console.error('Failed to fetch user quota:', error);
+    res.status(500).json({ error: 'Failed to fetch user quota' });
+  }
+});
+
+router.put('/admin/quotas/:userId', async (req, res) => {
+  try {
+    const adminAccess = req.headers['admin-access'];
+    if (adminAccess !== process.env.ADMIN_PASSPHRASE) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+
+    for (const name of Object.keys(QUOTA_LIMITS)) {
+      const value = req.body[name];
+      if (value !== undefined && value !== null && !(Number.isInteger(value) && value >= 0)) {
+        return res.status(400).json({ error: `${name} must be a non-negative integer or null` });
+      }
+    }
+    if (req.body.policy != null && !QUOTA_POLICIES.includes(req.body.policy)) {
+      return res.status(400).json({ error: `policy must be one of: ${QUOTA_POLICIES.join(', ')}` });
+    }
+
+    const [users] = await pool.query('SELECT id FROM users WHERE id = ?', [req.params.userId]);
+    if (users.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await quotaManager.setUserQuota(req.params.userId, req.body);
+
+    res.json({ message: 'Quota updated successfully', limits: await quotaManager.getLimits(req.params.userId) });
+  } catch (error) {
+    console.error('Failed to update user quota:', error);
+    res.status(500).json({ error: 'Failed to update user quota' });
+  }
+});
+
 // Compress responses
 router.use(compression());
 
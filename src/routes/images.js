@@ -0,0 +1,34 @@
+import express from 'express';
+import { ImageProxy } from '../services/imageProxy.js';
+
+const router = express.Router();
+const imageProxy = new ImageProxy();
+
+// Remote images of received emails, fetched on the reader's behalf.
+// Requests need the signature added when the message HTML was rewritten.
+router.get('/proxy', async (req, res) => {
+  const { url, sig } = req.query;
+
+  if (typeof url !== 'string' || typeof sig !== 'string' || !imageProxy.verify(url, sig)) {
+    return res.status(403).json({ error: 'Invalid image signature' });
+  }
+
+  try {
+    const image = await imageProxy.fetchImage(url);
+
+    res.setHeader('Content-Type', image.contentType);
+    res.setHeader('Content-Length', image.content.length);
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Content-Security-Policy', "default-src 'none'");
+    res.send(image.content);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Failed to proxy image:', error);
+    res.status(500).json({ error: 'Failed to proxy image' });
+  }
+});
+
+export default router;
@@ -0,0 +1,359 @@
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+import { authenticateToken } from '../middleware/auth.js';
+import webhookDispatcher, { WEBHOOK_EVENTS, DELIVERY_STATUS, WebhookUrlError } from '../services/webhookDispatcher.js';
+
+const router = express.Router();
+
+const DEFAULT_MAX_WEBHOOKS_PER_USER = 25;
+const MAX_URL_LENGTH = 2048;
+
+// Secret values are only shown when they are created
+const WEBHOOK_FIELDS = `
+  id, temp_email_id, domain_id, url, events, is_active, consecutive_failures,
+  disabled_at, disabled_reason, created_at, updated_at,
+  CONCAT(LEFT(secret, 10), '...') as secret_hint
+`;
+
+// The delivery log lists attempts without payloads and response bodies
+const DELIVERY_FIELDS = `
+  id, event_id, event_type, status, attempts, next_attempt_at, last_attempt_at,
+  response_status, error, duration_ms, redelivery_of, created_at
+`;
+
+function formatWebhook(webhook) {
+  return { ...webhook, events: webhook.events.split(',') };
+}
+
+// Defaults to every event; returns null for unknown event names
+function parseEvents(events) {
+  if (events === undefined) return Object.values(WEBHOOK_EVENTS);
+  if (!Array.isArray(events) || events.length === 0) return null;
+
+  const known = Object.values(WEBHOOK_EVENTS);
+  return events.every(event => known.includes(event)) ? [...new Set(events)] : null;
+}
+
+// Returns an error message, or null when deliveries may go to the URL
+function validateUrl(url) {
+  if (typeof url !== 'string' || !url || url.length > MAX_URL_LENGTH) {
+    return 'A webhook URL is required';
+  }
+
+  try {
+    webhookDispatcher.assertDeliverable(url);
+    return null;
+  } catch (error) {
+    if (error instanceof WebhookUrlError) return error.message;
+    throw error;
+  }
+}
+
+async function findWebhook(id, userId) {
+  const [webhooks] = await pool.query(
+    `SELECT ${WEBHOOK_FIELDS} FROM user_webhooks WHERE id = ? AND user_id = ?`,
+    [id, userId]
+  );
+  return webhooks[0] || null;
+}
+
+// List the user's webhooks
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const [webhooks] = await pool.query(
+      `SELECT ${WEBHOOK_FIELDS} FROM user_webhooks WHERE user_id = ? ORDER BY created_at DESC`,
+      [req.user.id]
+    );
+    res.json(webhooks.map(formatWebhook));
+  } catch (error) {
+    console.error('Failed to fetch webhooks:', error);
+    res.status(500).json({ error: 'Failed to fetch webhooks' });
+  }
+});
+
+// Register a webhook for one inbox (inboxId) or for every inbox of a
+// custom domain (domainId). The response contains the signing secret.
+router.post('/', authenticateToken, async (req, res) => {
+  const { url, inboxId, domainId } = req.body;
+
+  if (Boolean(inboxId) === Boolean(domainId)) {
+    return res.status(400).json({ error: 'Either inboxId or domainId is required' });
+  }
+
+  const events = parseEvents(req.body.events);
+  if (!events) {
+    return res.status(400).json({ error: `events must be a list of: ${Object.values(WEBHOOK_EVENTS).join(', ')}` });
+  }
+
+  try {
+    const urlError = validateUrl(url);
+    if (urlError) {
+      return res.status(400).json({ error: urlError });
+    }
+
+    const [owned] = inboxId ?
+      await pool.query('SELECT id FROM temp_emails WHERE id = ? AND user_id = ?', [inboxId, req.user.id]) :
+      await pool.query('SELECT id FROM user_domains WHERE id = ? AND user_id = ?', [domainId, req.user.id]);
+
+    if (owned.length === 0) {
+      return res.status(404).json({ error: inboxId ? 'Email not found' : 'Domain not found' });
+    }
+
+    const maxWebhooks = parseInt(process.env.WEBHOOK_MAX_PER_USER || DEFAULT_MAX_WEBHOOKS_PER_USER);
+    const [countResult] = await pool.query(
+      'SELECT COUNT(*) as total FROM user_webhooks WHERE user_id = ?',
+      [req.user.id]
+    );
+    if (countResult[0].total >= maxWebhooks) {
+      return res.status(409).json({ error: `A user can register at most ${maxWebhooks} webhooks` });
+    }
+
+    const id = uuidv4();
+    const secret = webhookDispatcher.generateSecret();
+    await pool.query(`
+      INSERT INTO user_webhooks (id, user_id, temp_email_id, domain_id, url, secret, events)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [id, req.user.id, inboxId || null, domainId || null, url, secret, events.join(',')]);
+
+    res.status(201).json({ ...formatWebhook(await findWebhook(id, req.user.id)), secret });
+  } catch (error) {
+    console.error('Failed to create webhook:', error);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req.params.id, req.user.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json(formatWebhook(webhook));
+  } catch (error) {
+    console.error('Failed to fetch webhook:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook' });
+  }
+});
+
+// Update url, events or isActive. Re-enabling a webhook disabled after
+// failed deliveries resets its failure count.
+router.patch('/:id', authenticateToken, async (req, res) => {
+  const { url, events, isActive } = req.body;
+  const updates = [];
+  const params = [];
+
+  try {
+    if (url !== undefined) {
+      const urlError = validateUrl(url);
+      if (urlError) {
+        return res.status(400).json({ error: urlError });
+      }
+      updates.push('url = ?');
+      params.push(url);
+    }
+
+    if (events !== undefined) {
+      const parsed = parseEvents(events);
+      if (!parsed) {
+        return res.status(400).json({ error: `events must be a list of: ${Object.values(WEBHOOK_EVENTS).join(', ')}` });
+      }
+      updates.push('events = ?');
+      params.push(parsed.join(','));
+    }
+
+    if (isActive !== undefined) {
+      if (typeof isActive !== 'boolean') {
+        return res.status(400).json({ error: 'isActive must be a boolean' });
+      }
+      updates.push('is_active = ?');
+      params.push(isActive);
+      if (isActive) {
+        updates.push('consecutive_failures = 0', 'disabled_at = NULL', 'disabled_reason = NULL');
+      }
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const [result] = await pool.query(
+      `UPDATE user_webhooks SET ${updates.join(', ')} WHERE id = ? AND user_id = ?`,
+      [...params, req.params.id, req.user.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json(formatWebhook(await findWebhook(req.params.id, req.user.id)));
+  } catch (error) {
+    console.error('Failed to update webhook:', error);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+// Delete a webhook and its delivery log
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const [result] = await pool.query(
+      'DELETE FROM user_webhooks WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    console.error('Failed to delete webhook:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+// Replace the signing secret; the old one stops working right away
+router.post('/:id/rotate-secret', authenticateToken, async (req, res) => {
+  try {
+    const secret = webhookDispatcher.generateSecret();
+    const [result] = await pool.query(
+      'UPDATE user_webhooks SET secret = ? WHERE id = ? AND user_id = ?',
+      [secret, req.params.id, req.user.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json({ secret });
+  } catch (error) {
+    console.error('Failed to rotate webhook secret:', error);
+    res.status(500).json({ error: 'Failed to rotate webhook secret' });
+  }
+});
+
+// Send a signed "ping" event now and report how the receiver answered
+router.post('/:id/test', authenticateToken, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req.params.id, req.user.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    if (!webhook.is_active) {
+      return res.status(409).json({ error: 'Webhook is disabled' });
+    }
+
+    const delivery = await webhookDispatcher.sendTest(webhook);
+    res.json({ ...delivery, payload: JSON.parse(delivery.payload) });
+  } catch (error) {
+    console.error('Failed to test webhook:', error);
+    res.status(500).json({ error: 'Failed to test webhook' });
+  }
+});
+
+// Delivery log, newest first; ?status= and ?event= filter it
+router.get('/:id/deliveries', authenticateToken, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req.params.id, req.user.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = (page - 1) * limit;
+
+    let filter = 'WHERE webhook_id = ?';
+    const filterParams = [webhook.id];
+
+    if (req.query.status) {
+      if (!Object.values(DELIVERY_STATUS).includes(req.query.status)) {
+        return res.status(400).json({ error: `status must be one of: ${Object.values(DELIVERY_STATUS).join(', ')}` });
+      }
+      filter += ' AND status = ?';
+      filterParams.push(req.query.status);
+    }
+
+    if (req.query.event) {
+      filter += ' AND event_type = ?';
+      filterParams.push(req.query.event);
+    }
+
+    const [countResult] = await pool.query(
+      `SELECT COUNT(*) as total FROM webhook_deliveries ${filter}`,
+      filterParams
+    );
+    const totalCount = countResult[0].total;
+
+    const [deliveries] = await pool.query(`
+      SELECT ${DELIVERY_FIELDS}
+      FROM webhook_deliveries
+      ${filter}
+      ORDER BY created_at DESC
+      LIMIT ? OFFSET ?
+    `, [...filterParams, limit, offset]);
+
+    res.json({
+      data: deliveries,
+      metadata: {
+        total: totalCount,
+        page: page,
+        limit: limit,
+        pages: Math.ceil(totalCount / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Failed to fetch webhook deliveries:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+  }
+});
+
+async function findDelivery(req) {
+  const [deliveries] = await pool.query(`
+    SELECT wd.*
+    FROM webhook_deliveries wd
+    JOIN user_webhooks uw ON wd.webhook_id = uw.id
+    WHERE wd.id = ? AND uw.id = ? AND uw.user_id = ?
+  `, [req.params.deliveryId, req.params.id, req.user.id]);
+  return deliveries[0] || null;
+}
+
+// One delivery with its payload and the receiver's response
+router.get('/:id/deliveries/:deliveryId', authenticateToken, async (req, res) => {
+  try {
+    const delivery = await findDelivery(req);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    res.json({ ...delivery, payload: JSON.parse(delivery.payload) });
+  } catch (error) {
+    console.error('Failed to fetch webhook delivery:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook delivery' });
+  }
+});
+
+// Send a delivery's event again, as a new delivery
+router.post('/:id/deliveries/:deliveryId/redeliver', authenticateToken, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req.params.id, req.user.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    if (!webhook.is_active) {
+      return res.status(409).json({ error: 'Webhook is disabled' });
+    }
+
+    const delivery = await findDelivery(req);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    const id = await webhookDispatcher.redeliver(delivery);
+    res.status(202).json({ message: 'Redelivery queued', id });
+  } catch (error) {
+    console.error('Failed to redeliver webhook event:', error);
+    res.status(500).json({ error: 'Failed to redeliver webhook event' });
+  }
+});
+
+export default router;
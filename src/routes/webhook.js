@@ -1,233 +1,435 @@
 import express from 'express';
-import { v4 as uuidv4 } from 'uuid';
-import { pool } from '../db/init.js';
-import { simpleParser } from 'mailparser';
-import iconv from 'iconv-lite';
-import { EmailRouter } from '../services/emailRouter.js';
-
-// Email parsing helper functions
-function extractSenderEmail(emailFrom) {
-  if (!emailFrom) return '';
-  const angleEmailMatch = emailFrom.match(/<(.+?)>/);
-  if (angleEmailMatch) return angleEmailMatch[1];
-  const simpleEmailMatch = emailFrom.match(/([a-zA-Z0-9._-]+@[a-zA-Z0-9._-]+\.[a-zA-Z0-9._-]+)/);
-  if (simpleEmailMatch) return simpleEmailMatch[1];
-  if (emailFrom.includes('bounce') || emailFrom.includes('mailer-daemon')) {
-    const bounceMatch = emailFrom.match(/original-sender:\s*([^\s]+@[^\s]+)/i);
-    if (bounceMatch) return bounceMatch[1];
-    return 'system@bounced.mail';
-  }
-  return emailFrom;
-}
+import { EmailRouter, REJECTION } from '../services/emailRouter.js';
+import { WebhookRelayManager } from '../services/webhookRelayManager.js';
+import { DeadLetterStore, DEAD_LETTER_REASON } from '../services/deadLetterStore.js';
+import { captureRawBody, verifyWebhookSignature } from '../middleware/webhookAuth.js';
+import {
+  normalizeFormPayload,
+  normalizeJsonPayload,
+  normalizeRawMessage
+} from '../utils/emailParser.js';
 
-function extractSenderName(emailFrom) {
-  if (!emailFrom) return 'Unknown Sender';
-  const nameMatch = emailFrom.match(/^"?([^"<]+)"?\s*</);
-  if (nameMatch) return nameMatch[1].trim();
-  if (emailFrom.includes('bounce') || emailFrom.includes('mailer-daemon')) return 'System Notification';
-  const email = extractSenderEmail(emailFrom);
-  return email.split('@')[0] || 'Unknown Sender';
-}
+const router = express.Router();
+const emailRouter = new EmailRouter();
+const relayManager = new WebhookRelayManager();
+const deadLetterStore = new DeadLetterStore();
 
-function cleanSubject(subject) {
-  if (!subject) return 'No Subject';
-  const prefixesToRemove = [
-    /^re:\s*/i,
-    /^fwd:\s*/i,
-    /^fw:\s*/i,
-    /^\[SPAM\]\s*/i,
-    /^bounce:/i,
-    /^auto.*reply:\s*/i,
-    /^automatic\s+reply:\s*/i
-  ];
-  let cleanedSubject = subject;
-  prefixesToRemove.forEach(prefix => {
-    cleanedSubject = cleanedSubject.replace(prefix, '');
-  });
-  cleanedSubject = cleanedSubject
-    .replace(/"/g, '"')
-    .replace(/&/g, '&')
-    .replace(/</g, '<')
-    .replace(/>/g, '>')
-    .replace(/&#(\d+);/g, (match, dec) => String.fromCharCode(dec));
-  cleanedSubject = cleanedSubject.replace(/\s+/g, ' ').trim();
-  if (cleanedSubject.length > 100) cleanedSubject = cleanedSubject.substring(0, 97) + '...';
-  return cleanedSubject || 'No Subject';
-}
+// Helper function to check admin passphrase
+const checkAdminPassphrase = (req) => {
+  return req.headers['admin-access'] === process.env.ADMIN_PASSPHRASE;
+};
 
-async function parseEmailContent(rawContent) {
-  try {
-    let decodedContent = rawContent;
-    if (typeof rawContent === 'string') {
-      try {
-        decodedContent = iconv.decode(Buffer.from(rawContent), 'utf8');
-      } catch (err) {
-        decodedContent = iconv.decode(Buffer.from(rawContent), 'latin1');
-      }
-    }
-    const parsed = await simpleParser(decodedContent);
-    return {
-      headers: parsed.headers,
-      subject: parsed.subject,
-      from: parsed.from?.text || '',
-      to: parsed.to?.text || '',
-      text: parsed.text,
-      html: parsed.html,
-      attachments: parsed.attachments.map(attachment => ({
-        filename: attachment.filename,
-        contentType: attachment.contentType,
-        size: attachment.size,
-        content: attachment.content.toString('base64')
-      }))
-    };
-  } catch (error) {
-    console.error('Error parsing email:', error);
-    return {
-      headers: {},
-      subject: 'Unable to parse subject',
-      from: '',
-      to: '',
-      text: rawContent,
-      html: '',
-      attachments: []
-    };
+// Raw MIME uploads (message/rfc822) are read as a Buffer so the original
+// source can be stored byte for byte
+const RAW_MIME_TYPES = ['message/rfc822', 'application/octet-stream'];
+const rawMimeParser = express.raw({ type: RAW_MIME_TYPES, limit: '30mb', verify: captureRawBody });
+const formParser = express.urlencoded({ extended: true, limit: '30mb', verify: captureRawBody });
+
+// Normalize the request body into the shared message model
+async function normalizeWebhookRequest(req, contentType) {
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    return normalizeFormPayload(req.body);
   }
+
+  if (RAW_MIME_TYPES.some(type => contentType.includes(type))) {
+    // Raw RFC 822 message; envelope and client details come from the query string
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) return null;
+    return normalizeRawMessage(req.body, {
+      recipient: req.query.recipient,
+      sender: req.query.sender,
+      client: { ip: req.query.client_ip, helo: req.query.helo, mailFrom: req.query.sender }
+    });
+  }
+
+  if (contentType.includes('application/json')) {
+    return normalizeJsonPayload(req.body);
+  }
+
+  return undefined;
 }
 
-const router = express.Router();
-const emailRouter = new EmailRouter();
+// Note: JSON bodies are parsed at the app level with captureRawBody so the
+// raw bytes are available for signature verification
 
-// Note: Ensure the following middleware is applied at the app level:
-// app.use(express.urlencoded({ extended: true }));
-// app.use(express.json());
+router.post('/email/incoming', rawMimeParser, formParser, verifyWebhookSignature, async (req, res) => {
+  let emailData;
 
-router.post('/email/incoming', async (req, res) => {
   try {
-    const contentType = req.headers['content-type'];
-
-    if (contentType && contentType.includes('application/x-www-form-urlencoded')) {
-      // Existing logic for urlencoded requests
-      console.log('Received webhook request (urlencoded)');
-      console.log('Content-Type:', contentType);
-
-      const rawContent = req.body.body;
-      const parsedEmail = await parseEmailContent(rawContent);
-
-      const senderEmail = extractSenderEmail(req.body.sender || parsedEmail.from);
-      const senderName = extractSenderName(req.body.sender || parsedEmail.from);
-      const cleanedSubject = cleanSubject(parsedEmail.subject);
-
-      const emailData = {
-        recipient: req.body.recipient || parsedEmail.to,
-        sender: senderEmail,
-        senderName: senderName,
-        subject: cleanedSubject,
-        body_html: parsedEmail.html || '',
-        body_text: parsedEmail.text || '',
-        attachments: parsedEmail.attachments || []
-      };
-
-      const cleanRecipient = emailData.recipient.includes('<') ?
-        emailData.recipient.match(/<(.+)>/)[1] :
-        emailData.recipient.trim();
-
-      const [tempEmails] = await pool.query(
-        'SELECT id FROM temp_emails WHERE email = ? AND expires_at > NOW()',
-        [cleanRecipient]
-      );
+    const contentType = req.headers['content-type'] || '';
+    console.log('Received webhook request');
+    console.log('Content-Type:', contentType);
+
+    emailData = await normalizeWebhookRequest(req, contentType);
 
-      if (tempEmails.length === 0) {
-        console.error('No active temporary email found for recipient:', cleanRecipient);
-        return res.status(404).json({
-          error: 'Recipient not found',
-          message: 'No active temporary email found for the specified recipient'
+    if (emailData === undefined) {
+      return res.status(400).json({ error: 'Unsupported content type' });
+    }
+
+    if (!emailData || emailData.recipients.length === 0) {
+      return res.status(400).json({ error: 'No recipient specified' });
+    }
+
+    // Relays send the same X-Delivery-Id when they retry a delivery
+    const result = await emailRouter.processInboundEmail(emailData, {
+      transport: 'webhook',
+      relayId: req.relay?.id,
+      deliveryId: req.headers['x-delivery-id']
+    });
+
+    if (result.status === 'rejected') {
+      console.error(`Rejected email for ${emailData.recipients.join(', ')}: ${result.reason}`);
+      if (result.reason === REJECTION.MESSAGE_TOO_LARGE) {
+        return res.status(413).json({
+          error: 'Message too large',
+          message: 'The message exceeds the storage limits of the recipient',
+          results: result.results
         });
       }
-
-      const tempEmailId = tempEmails[0].id;
-      const emailId = uuidv4();
-
-      const connection = await pool.getConnection();
-      await connection.beginTransaction();
-
-      try {
-        await connection.query(`
-          INSERT INTO received_emails (
-            id, 
-            temp_email_id, 
-            from_email,
-            from_name,
-            subject, 
-            body_html,
-            body_text,
-            received_at
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, NOW())
-        `, [
-          emailId,
-          tempEmailId,
-          emailData.sender,
-          emailData.senderName,
-          emailData.subject,
-          emailData.body_html,
-          emailData.body_text
-        ]);
-
-        for (const attachment of emailData.attachments) {
-          const attachmentId = uuidv4();
-          await connection.query(`
-            INSERT INTO email_attachments (
-              id,
-              email_id,
-              filename,
-              content_type,
-              size,
-              content,
-              created_at
-            ) VALUES (?, ?, ?, ?, ?, ?, NOW())
-          `, [
-            attachmentId,
-            emailId,
-            attachment.filename,
-            attachment.contentType,
-            attachment.size,
-            attachment.content
-          ]);
-        }
-
-        await connection.commit();
-        console.log('Email and attachments stored successfully');
-
-        res.status(200).json({
-          message: 'Email received and stored successfully',
-          emailId,
-          recipient: cleanRecipient
+      if (result.reason === REJECTION.MAILBOX_FULL) {
+        return res.status(507).json({
+          error: 'Mailbox full',
+          message: 'The recipient has no storage left for new mail',
+          results: result.results
         });
-      } catch (error) {
-        await connection.rollback();
-        throw error;
-      } finally {
-        connection.release();
       }
-    } else if (contentType && contentType.includes('application/json')) {
-      // New logic for JSON requests
-      console.log('Received webhook request (JSON)');
-      console.log('Content-Type:', contentType);
-
-      const emailData = req.body;
-      const recipient = emailData.recipient || emailData.to;
-      if (!recipient) {
-        throw new Error('No recipient specified');
+      if (result.reason === REJECTION.EXPIRED) {
+        return res.status(410).json({
+          error: 'Recipient expired',
+          message: 'The temporary email for the specified recipient has expired',
+          results: result.results
+        });
       }
+      return res.status(404).json({
+        error: 'Recipient not found',
+        message: 'No active temporary email found for the specified recipient',
+        results: result.results
+      });
+    }
+
+    // emailId/recipient describe the first stored copy, as before fan-out
+    const delivered = result.results.filter(r => r.status !== 'rejected');
+    const firstStored = delivered.find(r => r.status === 'stored');
+    const alreadyStored = delivered.length > 0 && delivered.every(r => r.duplicate);
+
+    console.log(`Email delivered to ${delivered.length} recipient(s)`);
 
-      await emailRouter.handleIncomingEmail(recipient, emailData);
-      res.json({ status: 'success', message: 'Email processed successfully' });
-    } else {
-      res.status(400).json({ error: 'Unsupported content type' });
+    let message = firstStored ? 'Email received and stored successfully' : 'Email forwarded successfully';
+    if (alreadyStored) {
+      message = 'Email was already received';
     }
+
+    res.status(200).json({
+      message,
+      emailId: firstStored?.emailId,
+      recipient: (firstStored || delivered[0]).recipient,
+      results: result.results
+    });
   } catch (error) {
     console.error('Failed to process incoming email:', error);
+
+    // Keep the message so it can be replayed once the cause is fixed
+    if (emailData?.envelopeRecipients?.length) {
+      await deadLetterStore.record(
+        emailData,
+        emailData.envelopeRecipients.map(recipient => ({
+          recipient,
+          reason: DEAD_LETTER_REASON.PROCESSING_FAILED,
+          error: error.message
+        })),
+        { transport: 'webhook' }
+      );
+    }
+
     res.status(500).json({ error: 'Failed to process email' });
   }
 });
 
+// Relay management (admin only)
+
+// List registered relays
+router.get('/relays', async (req, res) => {
+  if (!checkAdminPassphrase(req)) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const relays = await relayManager.listRelays();
+    res.json(relays);
+  } catch (error) {
+    console.error('Failed to fetch relays:', error);
+    res.status(500).json({ error: 'Failed to fetch relays' });
+  }
+});
+
+// Get a relay with its secrets (values are masked)
+router.get('/relays/:id', async (req, res) => {
+  if (!checkAdminPassphrase(req)) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const relay = await relayManager.getRelay(req.params.id);
+    if (!relay) {
+      return res.status(404).json({ error: 'Relay not found' });
+    }
+    res.json(relay);
+  } catch (error) {
+    console.error('Failed to fetch relay:', error);
+    res.status(500).json({ error: 'Failed to fetch relay' });
+  }
+});
+
+// Register a relay; the response contains its first signing secret
+router.post('/relays', async (req, res) => {
+  if (!checkAdminPassphrase(req)) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+
+  const { name, allowUnsigned, allowedIps } = req.body;
+
+  if (!name) {
+    return res.status(400).json({ error: 'Relay name is required' });
+  }
+
+  try {
+    const relay = await relayManager.createRelay({
+      name,
+      allowUnsigned: Boolean(allowUnsigned),
+      allowedIps: allowedIps || null
+    });
+    res.status(201).json(relay);
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'Relay already exists' });
+    }
+    console.error('Failed to create relay:', error);
+    res.status(500).json({ error: 'Failed to create relay' });
+  }
+});
+
+// Update relay settings (name, allowUnsigned, allowedIps, isActive)
+router.patch('/relays/:id', async (req, res) => {
+  if (!checkAdminPassphrase(req)) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const updated = await relayManager.updateRelay(req.params.id, req.body);
+    if (!updated) {
+      return res.status(404).json({ error: 'Relay not found' });
+    }
+    res.json({ message: 'Relay updated successfully' });
+  } catch (error) {
+    console.error('Failed to update relay:', error);
+    res.status(500).json({ error: 'Failed to update relay' });
+  }
+});
+
+// Delete a relay and its secrets
+router.delete('/relays/:id', async (req, res) => {
+  if (!checkAdminPassphrase(req)) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const deleted = await relayManager.deleteRelay(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Relay not found' });
+    }
+    res.json({ message: 'Relay deleted successfully' });
+  } catch (error) {
+    console.error('Failed to delete relay:', error);
+    res.status(500).json({ error: 'Failed to delete relay' });
+  }
+});
+
+// Rotate the signing secret. Previous secrets keep working for
+// graceSeconds (default 24 hours) so the relay can be updated without downtime.
+router.post('/relays/:id/secrets/rotate', async (req, res) => {
+  if (!checkAdminPassphrase(req)) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+
+  const graceSeconds = req.body.graceSeconds !== undefined ?
+    parseInt(req.body.graceSeconds) :
+    undefined;
+
+  if (graceSeconds !== undefined && (!Number.isFinite(graceSeconds) || graceSeconds < 0)) {
+    return res.status(400).json({ error: 'Invalid grace period' });
+  }
+
+  try {
+    const rotated = await relayManager.rotateSecret(req.params.id, graceSeconds);
+    if (!rotated) {
+      return res.status(404).json({ error: 'Relay not found' });
+    }
+    res.status(201).json(rotated);
+  } catch (error) {
+    console.error('Failed to rotate relay secret:', error);
+    res.status(500).json({ error: 'Failed to rotate relay secret' });
+  }
+});
+
+// Revoke a single secret immediately
+router.delete('/relays/:id/secrets/:secretId', async (req, res) => {
+  if (!checkAdminPassphrase(req)) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const revoked = await relayManager.revokeSecret(req.params.id, req.params.secretId);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Secret not found' });
+    }
+    res.json({ message: 'Secret revoked successfully' });
+  } catch (error) {
+    console.error('Failed to revoke relay secret:', error);
+    res.status(500).json({ error: 'Failed to revoke relay secret' });
+  }
+});
+
+// Dead letters (admin only): inbound mail that could not be delivered,
+// kept for DEAD_LETTER_RETENTION_DAYS
+
+// List dead letters; filters: recipient, reason, status (pending, replaying, replayed)
+router.get('/dead-letters', async (req, res) => {
+  if (!checkAdminPassphrase(req)) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const { deadLetters, total } = await deadLetterStore.list({
+      recipient: req.query.recipient,
+      reason: req.query.reason,
+      status: req.query.status,
+      page,
+      limit
+    });
+
+    res.json({
+      data: deadLetters,
+      metadata: {
+        total: total,
+        page: page,
+        limit: limit,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Failed to fetch dead letters:', error);
+    res.status(500).json({ error: 'Failed to fetch dead letters' });
+  }
+});
+
+// Replay all pending dead letters for a recipient
+router.post('/dead-letters/replay', async (req, res) => {
+  if (!checkAdminPassphrase(req)) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+
+  const { recipient } = req.body;
+
+  if (!recipient) {
+    return res.status(400).json({ error: 'Recipient is required' });
+  }
+
+  try {
+    const results = await deadLetterStore.replayRecipient(recipient, emailRouter);
+    res.json({
+      replayed: results.filter(result => result.status === 'replayed').length,
+      total: results.length,
+      results
+    });
+  } catch (error) {
+    console.error('Failed to replay dead letters:', error);
+    res.status(500).json({ error: 'Failed to replay dead letters' });
+  }
+});
+
+// Inspect a dead letter: rejection details and the stored message
+router.get('/dead-letters/:id', async (req, res) => {
+  if (!checkAdminPassphrase(req)) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const deadLetter = await deadLetterStore.get(req.params.id);
+    if (!deadLetter) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+    res.json(deadLetter);
+  } catch (error) {
+    console.error('Failed to fetch dead letter:', error);
+    res.status(500).json({ error: 'Failed to fetch dead letter' });
+  }
+});
+
+// Download the original source of a dead letter
+router.get('/dead-letters/:id/raw', async (req, res) => {
+  if (!checkAdminPassphrase(req)) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const rawSource = await deadLetterStore.getRawSource(req.params.id);
+    if (!rawSource) {
+      return res.status(404).json({ error: 'Original message not found' });
+    }
+
+    res.setHeader('Content-Type', 'message/rfc822');
+    res.setHeader('Content-Disposition', `attachment; filename="${req.params.id}.eml"`);
+    res.send(rawSource);
+  } catch (error) {
+    console.error('Failed to fetch dead letter source:', error);
+    res.status(500).json({ error: 'Failed to fetch dead letter source' });
+  }
+});
+
+// Deliver a dead letter again (e.g. once its inbox exists)
+router.post('/dead-letters/:id/replay', async (req, res) => {
+  if (!checkAdminPassphrase(req)) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const result = await deadLetterStore.replay(req.params.id, emailRouter);
+    if (!result) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+    if (result.status === 'already_replayed') {
+      return res.status(409).json({ error: 'Dead letter was already replayed' });
+    }
+    if (result.status === 'in_progress') {
+      return res.status(409).json({ error: 'Dead letter is being replayed' });
+    }
+    if (result.status === 'rejected') {
+      return res.status(422).json({ error: 'Recipient still rejected', reason: result.reason });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Failed to replay dead letter:', error);
+    res.status(500).json({ error: 'Failed to replay dead letter' });
+  }
+});
+
+// Discard a dead letter
+router.delete('/dead-letters/:id', async (req, res) => {
+  if (!checkAdminPassphrase(req)) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const deleted = await deadLetterStore.delete(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+    res.json({ message: 'Dead letter deleted successfully' });
+  } catch (error) {
+    console.error('Failed to delete dead letter:', error);
+    res.status(500).json({ error: 'Failed to delete dead letter' });
+  }
+});
+
 export default router;
@@ -0,0 +1,159 @@
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import { pool } from '../db/init.js';
+import { createBlobStore } from './blobStore.js';
+
+// Unreferenced blobs younger than this are kept: a delivery may have
+// written the blob but not yet committed the rows that reference it
+const GC_GRACE_SECONDS = 60 * 60;
+
+// Attachment contents live in the blob store, keyed by their SHA-256, so
+// identical files (the same newsletter logo, one message fanned out to
+// several inboxes) are stored once. attachment_blobs.ref_count counts the
+// email_attachments rows pointing at each blob; rows removed by cascading
+// deletes are reconciled by collectGarbage().
+export class AttachmentStore {
+  constructor(options = {}) {
+    this.blobStore = options.blobStore || createBlobStore();
+  }
+
+  hash(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+  }
+
+  // Attachments arrive base64 encoded in the normalized message model
+  decode(attachment) {
+    return Buffer.isBuffer(attachment.content) ?
+      attachment.content :
+      Buffer.from(attachment.content || '', 'base64');
+  }
+
+  // Write attachment contents to the blob store before the message
+  // transaction starts. New blobs are registered with ref_count 0; the
+  // references are added with addReference() inside the transaction.
+  // Blobs are written even when they exist: the write is idempotent and
+  // restores a blob garbage collection deleted after the row was taken.
+  async saveBlobs(attachments) {
+    const saved = [];
+
+    for (const attachment of attachments) {
+      const content = this.decode(attachment);
+      const blobHash = this.hash(content);
+
+      await pool.query(`
+        INSERT INTO attachment_blobs (hash, size, ref_count)
+        VALUES (?, ?, 0)
+        ON DUPLICATE KEY UPDATE last_referenced_at = NOW()
+      `, [blobHash, content.length]);
+
+      await this.blobStore.put(blobHash, content);
+
+      saved.push({ ...attachment, size: content.length, blobHash });
+    }
+
+    return saved;
+  }
+
+  async addReference(connection, blobHash) {
+    await connection.query(`
+      UPDATE attachment_blobs
+      SET ref_count = ref_count + 1, last_referenced_at = NOW()
+      WHERE hash = ?
+    `, [blobHash]);
+  }
+
+  // Runs in the transaction deleting the emails: their attachment rows are
+  // removed and the blobs they pointed at lose those references
+  async removeAttachments(connection, emailIds) {
+    await connection.query(`
+      UPDATE attachment_blobs ab
+      JOIN (
+        SELECT blob_hash, COUNT(*) as refs
+        FROM email_attachments
+        WHERE email_id IN (?) AND blob_hash IS NOT NULL
+        GROUP BY blob_hash
+      ) ea ON ea.blob_hash = ab.hash
+      SET ab.ref_count = GREATEST(ab.ref_count - ea.refs, 0)
+    `, [emailIds]);
+
+    await connection.query('DELETE FROM email_attachments WHERE email_id IN (?)', [emailIds]);
+  }
+
+  // Contents of an email_attachments row; rows that were not migrated yet
+  // still carry base64 content
+  async read(attachment) {
+    if (attachment.blob_hash) {
+      return this.blobStore.get(attachment.blob_hash);
+    }
+    return Buffer.from(attachment.content || '', 'base64');
+  }
+
+  // Readable stream over an email_attachments row, optionally limited to
+  // an inclusive byte range
+  async getStream(attachment, { start, end } = {}) {
+    if (attachment.blob_hash) {
+      return this.blobStore.getStream(attachment.blob_hash, { start, end });
+    }
+
+    const content = await this.read(attachment);
+    return Readable.from([content.subarray(start ?? 0, end === undefined ? undefined : end + 1)]);
+  }
+
+  // Recount references from email_attachments, then delete blobs nothing
+  // points to any more
+  async collectGarbage(graceSeconds = GC_GRACE_SECONDS) {
+    await pool.query(`
+      UPDATE attachment_blobs ab
+      LEFT JOIN (
+        SELECT blob_hash, COUNT(*) as refs
+        FROM email_attachments
+        WHERE blob_hash IS NOT NULL
+        GROUP BY blob_hash
+      ) ea ON ea.blob_hash = ab.hash
+      SET ab.ref_count = COALESCE(ea.refs, 0)
+    `);
+
+    const [unreferenced] = await pool.query(`
+      SELECT hash FROM attachment_blobs
+      WHERE ref_count = 0
+        AND last_referenced_at < DATE_SUB(NOW(), INTERVAL ? SECOND)
+    `, [graceSeconds]);
+
+    let deleted = 0;
+    for (const { hash } of unreferenced) {
+      const connection = await pool.getConnection();
+      try {
+        await connection.beginTransaction();
+
+        // Drop the row first: a delivery that reuses the blob in the
+        // meantime bumps last_referenced_at and keeps it. One that comes
+        // later waits on the deleted row until the file is gone, then
+        // writes it again.
+        const [result] = await connection.query(`
+          DELETE FROM attachment_blobs
+          WHERE hash = ?
+            AND ref_count = 0
+            AND last_referenced_at < DATE_SUB(NOW(), INTERVAL ? SECOND)
+        `, [hash, graceSeconds]);
+
+        if (result.affectedRows === 0) {
+          await connection.rollback();
+          continue;
+        }
+
+        await this.blobStore.delete(hash);
+        await connection.commit();
+        deleted++;
+      } catch (error) {
+        await connection.rollback();
+        // Still referenced (foreign key) or the store is unavailable;
+        // retried on the next run
+        console.error(`Failed to delete attachment blob ${hash}:`, error);
+      } finally {
+        connection.release();
+      }
+    }
+
+    return deleted;
+  }
+}
@@ -0,0 +1,164 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand
+} from '@aws-sdk/client-s3';
+
+// Blob stores keep immutable binary objects under a key. Both backends
+// implement:
+//   put(key, buffer), get(key) -> Buffer, getStream(key, { start, end }),
+//   exists(key) -> boolean, delete(key)
+// Ranges are inclusive byte offsets, like HTTP Range headers.
+
+// Relative store paths are taken from the project root, not from wherever
+// the process was started
+const PROJECT_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+function isMissing(error) {
+  return error.code === 'ENOENT' ||
+    error.name === 'NoSuchKey' ||
+    error.name === 'NotFound' ||
+    error.$metadata?.httpStatusCode === 404;
+}
+
+export class LocalBlobStore {
+  constructor(options = {}) {
+    this.root = path.resolve(PROJECT_ROOT, options.root || process.env.BLOB_STORE_PATH || 'data/blobs');
+  }
+
+  // Keys are sharded by their first characters to keep directories small
+  pathFor(key) {
+    return path.join(this.root, key.slice(0, 2), key.slice(2, 4), key);
+  }
+
+  async put(key, buffer) {
+    const target = this.pathFor(key);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+    // Write to a temporary file first so readers never see partial blobs
+    const temp = `${target}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    await fs.promises.writeFile(temp, buffer);
+    await fs.promises.rename(temp, target);
+  }
+
+  async get(key) {
+    return fs.promises.readFile(this.pathFor(key));
+  }
+
+  async getStream(key, { start, end } = {}) {
+    // Open first so a missing blob rejects instead of erroring the stream
+    const handle = await fs.promises.open(this.pathFor(key), 'r');
+    return handle.createReadStream({ start, end });
+  }
+
+  async exists(key) {
+    try {
+      await fs.promises.access(this.pathFor(key));
+      return true;
+    } catch (error) {
+      if (isMissing(error)) return false;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.pathFor(key));
+    } catch (error) {
+      if (!isMissing(error)) throw error;
+    }
+  }
+}
+
+// Any S3-compatible service (AWS, MinIO, R2, ...). A custom endpoint
+// switches to path-style addressing, which local stand-ins expect.
+export class S3BlobStore {
+  constructor(options = {}) {
+    const endpoint = options.endpoint || process.env.BLOB_S3_ENDPOINT;
+    const accessKeyId = options.accessKeyId || process.env.BLOB_S3_ACCESS_KEY_ID;
+    const secretAccessKey = options.secretAccessKey || process.env.BLOB_S3_SECRET_ACCESS_KEY;
+
+    this.bucket = options.bucket || process.env.BLOB_S3_BUCKET;
+    this.prefix = options.prefix ?? process.env.BLOB_S3_PREFIX ?? 'attachments/';
+
+    if (!this.bucket) {
+      throw new Error('BLOB_S3_BUCKET is required for the S3 blob store');
+    }
+
+    this.client = options.client || new S3Client({
+      region: options.region || process.env.BLOB_S3_REGION || 'us-east-1',
+      endpoint,
+      forcePathStyle: Boolean(endpoint),
+      credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+    });
+  }
+
+  objectKey(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  async put(key, buffer) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Body: buffer,
+      ContentLength: buffer.length
+    }));
+  }
+
+  async get(key) {
+    const stream = await this.getStream(key);
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  async getStream(key, { start, end } = {}) {
+    const range = start !== undefined || end !== undefined ?
+      `bytes=${start ?? 0}-${end ?? ''}` :
+      undefined;
+
+    const response = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Range: range
+    }));
+    return response.Body;
+  }
+
+  async exists(key) {
+    try {
+      await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+      return true;
+    } catch (error) {
+      if (isMissing(error)) return false;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    try {
+      await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+    } catch (error) {
+      if (!isMissing(error)) throw error;
+    }
+  }
+}
+
+// BLOB_STORE_DRIVER selects the backend: "local" (default) or "s3"
+export function createBlobStore() {
+  const driver = (process.env.BLOB_STORE_DRIVER || 'local').toLowerCase();
+
+  if (driver === 's3') return new S3BlobStore();
+  if (driver === 'local') return new LocalBlobStore();
+
+  throw new Error(`Unknown blob store driver: ${driver}`);
+}
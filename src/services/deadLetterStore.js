@@ -0,0 +1,353 @@
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+import { normalizeRawMessage } from '../utils/emailParser.js';
+import { contentHash } from './ingestionDeduplicator.js';
+
+const DEFAULT_RETENTION_DAYS = 7;
+const DEFAULT_MAX_MESSAGES = 10000;
+const DEFAULT_MAX_BYTES = 1024 * 1024 * 1024;
+// A replay that has not finished after this long is taken to have died
+const REPLAY_CLAIM_MINUTES = 15;
+
+// Dead-letter reasons besides the recipient rejections in REJECTION
+export const DEAD_LETTER_REASON = {
+  PROCESSING_FAILED: 'PROCESSING_FAILED'
+};
+
+const SUMMARY_FIELDS = `
+  dl.id, dl.recipient, m.sender, m.subject, dl.reason, dl.error, dl.transport, m.size, dl.status,
+  dl.replay_attempts, dl.last_replay_error, dl.replayed_email_id, dl.replayed_at, dl.created_at, dl.expires_at
+`;
+
+// Inbound messages that could not be delivered (unknown or expired
+// recipient, processing failures) are kept for DEAD_LETTER_RETENTION_DAYS
+// so admins can inspect and replay them, e.g. mail that arrived just before
+// its inbox was created. Each message is stored once, keyed by a hash of
+// its content, with one dead letter per rejected recipient, so relay
+// retries add nothing. New messages are dropped once
+// DEAD_LETTER_MAX_MESSAGES or DEAD_LETTER_MAX_BYTES is reached.
+export class DeadLetterStore {
+  constructor(options = {}) {
+    this.retentionDays = options.retentionDays ||
+      parseInt(process.env.DEAD_LETTER_RETENTION_DAYS || DEFAULT_RETENTION_DAYS);
+    this.maxMessages = options.maxMessages ||
+      parseInt(process.env.DEAD_LETTER_MAX_MESSAGES || DEFAULT_MAX_MESSAGES);
+    this.maxBytes = options.maxBytes ||
+      parseInt(process.env.DEAD_LETTER_MAX_BYTES || DEFAULT_MAX_BYTES);
+  }
+
+  // The normalized message as stored. With the raw source available, the
+  // parsed parts are derived again on replay instead of being stored twice.
+  serialize(emailData) {
+    const { rawSource, ...message } = emailData;
+    if (!rawSource) return message;
+
+    const { attachments, body_html, body_text, headers, ...envelope } = message;
+    return envelope;
+  }
+
+  // Store a message for each rejected recipient. Never throws: failing to
+  // keep a dead letter must not change how the message is answered.
+  async record(emailData, rejections, { transport = null } = {}) {
+    if (rejections.length === 0) return [];
+
+    let messageId;
+    try {
+      messageId = await this.storeMessage(emailData);
+    } catch (storeError) {
+      console.error('Failed to store dead letter message:', storeError);
+      return [];
+    }
+    if (!messageId) return [];
+
+    const ids = [];
+    for (const { recipient, reason, error } of rejections) {
+      try {
+        const id = uuidv4();
+        // A recipient already holding a dead letter for the message keeps it
+        const [result] = await pool.query(`
+          INSERT INTO dead_letters (
+            id, message_id, recipient, reason, error, transport, expires_at
+          ) VALUES (?, ?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))
+          ON DUPLICATE KEY UPDATE id = id
+        `, [
+          id,
+          messageId,
+          recipient,
+          reason,
+          error ? String(error).slice(0, 1000) : null,
+          transport,
+          this.retentionDays
+        ]);
+        if (result.affectedRows > 0) ids.push(id);
+      } catch (storeError) {
+        console.error(`Failed to store dead letter for ${recipient}:`, storeError);
+      }
+    }
+
+    return ids;
+  }
+
+  // The ID of the stored message, storing it unless it already is. Returns
+  // null when the limits leave no room for it.
+  async storeMessage(emailData) {
+    const messageKey = contentHash(emailData);
+    const message = JSON.stringify(this.serialize(emailData));
+    const size = emailData.rawSource ? emailData.rawSource.length : Buffer.byteLength(message);
+
+    const existing = await this.findMessage(messageKey);
+    if (existing) return existing;
+
+    const [usage] = await pool.query(
+      'SELECT COUNT(*) as messages, COALESCE(SUM(size), 0) as bytes FROM dead_letter_messages'
+    );
+    const { messages, bytes } = usage[0];
+    if (messages >= this.maxMessages || Number(bytes) + size > this.maxBytes) {
+      console.warn(`Dead letter storage is full (${messages} messages, ${bytes} bytes), dropping message from ${emailData.sender || 'unknown sender'}`);
+      return null;
+    }
+
+    const id = uuidv4();
+    try {
+      await pool.query(`
+        INSERT INTO dead_letter_messages (
+          id, message_key, sender, subject, message_data, raw_source, size, expires_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))
+      `, [
+        id,
+        messageKey,
+        emailData.sender || null,
+        emailData.subject || null,
+        message,
+        emailData.rawSource || null,
+        size,
+        this.retentionDays
+      ]);
+      return id;
+    } catch (error) {
+      // Stored concurrently by another attempt of the same delivery
+      if (error.code === 'ER_DUP_ENTRY') {
+        return this.findMessage(messageKey);
+      }
+      throw error;
+    }
+  }
+
+  // Message already kept under the key; its retention is extended so it
+  // outlives the dead letters about to be added
+  async findMessage(messageKey) {
+    const [messages] = await pool.query(
+      'SELECT id FROM dead_letter_messages WHERE message_key = ?',
+      [messageKey]
+    );
+    if (messages.length === 0) return null;
+
+    await pool.query(`
+      UPDATE dead_letter_messages
+      SET expires_at = GREATEST(expires_at, DATE_ADD(NOW(), INTERVAL ? DAY))
+      WHERE id = ?
+    `, [this.retentionDays, messages[0].id]);
+    return messages[0].id;
+  }
+
+  // Filters: recipient, reason, status ("pending", "replaying" or "replayed")
+  async list({ recipient, reason, status, page = 1, limit = 50 } = {}) {
+    let filter = 'WHERE dl.expires_at > NOW()';
+    const filterParams = [];
+
+    if (recipient) {
+      filter += ' AND dl.recipient = ?';
+      filterParams.push(recipient.toLowerCase());
+    }
+    if (reason) {
+      filter += ' AND dl.reason = ?';
+      filterParams.push(reason);
+    }
+    if (status) {
+      filter += ' AND dl.status = ?';
+      filterParams.push(status);
+    }
+
+    const [countResult] = await pool.query(
+      `SELECT COUNT(*) as total FROM dead_letters dl ${filter}`,
+      filterParams
+    );
+
+    const [deadLetters] = await pool.query(`
+      SELECT ${SUMMARY_FIELDS}
+      FROM dead_letters dl
+      JOIN dead_letter_messages m ON m.id = dl.message_id
+      ${filter}
+      ORDER BY dl.created_at DESC
+      LIMIT ? OFFSET ?
+    `, [...filterParams, limit, (page - 1) * limit]);
+
+    return { deadLetters, total: countResult[0].total };
+  }
+
+  // Dead letter with its stored message (attachment contents left out)
+  async get(id) {
+    const [deadLetters] = await pool.query(`
+      SELECT ${SUMMARY_FIELDS}, m.message_data, m.raw_source IS NOT NULL as has_raw_source
+      FROM dead_letters dl
+      JOIN dead_letter_messages m ON m.id = dl.message_id
+      WHERE dl.id = ?
+    `, [id]);
+    if (deadLetters.length === 0) return null;
+
+    const { message_data: messageData, has_raw_source: hasRawSource, ...deadLetter } = deadLetters[0];
+    const message = JSON.parse(messageData);
+
+    return {
+      ...deadLetter,
+      has_raw_source: Boolean(hasRawSource),
+      message: {
+        ...message,
+        attachments: (message.attachments || []).map(({ content, ...attachment }) => attachment)
+      }
+    };
+  }
+
+  async getRawSource(id) {
+    const [sources] = await pool.query(`
+      SELECT m.raw_source
+      FROM dead_letters dl
+      JOIN dead_letter_messages m ON m.id = dl.message_id
+      WHERE dl.id = ? AND m.raw_source IS NOT NULL
+    `, [id]);
+    return sources[0]?.raw_source || null;
+  }
+
+  // The message to deliver again, addressed to the dead letter's recipient only
+  async loadMessage(id) {
+    const [deadLetters] = await pool.query(`
+      SELECT dl.id, dl.recipient, dl.status, m.message_data, m.raw_source
+      FROM dead_letters dl
+      JOIN dead_letter_messages m ON m.id = dl.message_id
+      WHERE dl.id = ?
+    `, [id]);
+    if (deadLetters.length === 0) return null;
+
+    const deadLetter = deadLetters[0];
+    let emailData = JSON.parse(deadLetter.message_data);
+
+    if (deadLetter.raw_source) {
+      const parsed = await normalizeRawMessage(deadLetter.raw_source, {
+        recipient: deadLetter.recipient,
+        client: emailData.client,
+        headerFanOut: false
+      });
+      emailData = { ...parsed, ...emailData };
+    }
+
+    return {
+      deadLetter,
+      emailData: {
+        ...emailData,
+        recipients: [deadLetter.recipient],
+        envelopeRecipients: [deadLetter.recipient]
+      }
+    };
+  }
+
+  // Deliver a dead letter again through emailRouter. Returns the delivery
+  // result, or null when the dead letter does not exist. The dead letter is
+  // claimed first, so concurrent replays deliver it once.
+  async replay(id, emailRouter) {
+    const [claim] = await pool.query(`
+      UPDATE dead_letters
+      SET status = 'replaying', replay_started_at = NOW()
+      WHERE id = ? AND (
+        status = 'pending' OR
+        (status = 'replaying' AND replay_started_at < DATE_SUB(NOW(), INTERVAL ? MINUTE))
+      )
+    `, [id, REPLAY_CLAIM_MINUTES]);
+
+    if (claim.affectedRows === 0) {
+      const [deadLetters] = await pool.query('SELECT status FROM dead_letters WHERE id = ?', [id]);
+      if (deadLetters.length === 0) return null;
+      return { id, status: deadLetters[0].status === 'replayed' ? 'already_replayed' : 'in_progress' };
+    }
+
+    let result;
+    try {
+      const loaded = await this.loadMessage(id);
+      if (!loaded) return null;
+      result = await emailRouter.processInboundEmail(loaded.emailData, { deadLetters: false });
+    } catch (error) {
+      await this.recordAttempt(id, { error: error.message });
+      throw error;
+    }
+
+    if (result.status === 'rejected') {
+      await this.recordAttempt(id, { error: result.reason });
+      return { id, status: 'rejected', reason: result.reason };
+    }
+
+    const stored = result.results.find(r => r.status === 'stored');
+    await this.recordAttempt(id, { emailId: stored?.emailId || null });
+    return { id, status: 'replayed', results: result.results };
+  }
+
+  // Releases the replay claim: back to pending on error, replayed otherwise
+  async recordAttempt(id, { emailId = null, error = null }) {
+    if (error) {
+      await pool.query(`
+        UPDATE dead_letters
+        SET replay_attempts = replay_attempts + 1, status = 'pending', last_replay_error = ?
+        WHERE id = ?
+      `, [error, id]);
+      return;
+    }
+
+    await pool.query(`
+      UPDATE dead_letters
+      SET replay_attempts = replay_attempts + 1, status = 'replayed', last_replay_error = NULL,
+        replayed_email_id = ?, replayed_at = NOW()
+      WHERE id = ?
+    `, [emailId, id]);
+  }
+
+  // Replay every pending dead letter for a recipient, oldest first
+  async replayRecipient(recipient, emailRouter) {
+    const [deadLetters] = await pool.query(`
+      SELECT id FROM dead_letters
+      WHERE recipient = ? AND status = 'pending' AND expires_at > NOW()
+      ORDER BY created_at ASC
+    `, [recipient.toLowerCase()]);
+
+    const results = [];
+    for (const { id } of deadLetters) {
+      try {
+        results.push(await this.replay(id, emailRouter));
+      } catch (error) {
+        console.error(`Failed to replay dead letter ${id}:`, error);
+        results.push({ id, status: 'failed', error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  // The message goes with its last dead letter
+  async delete(id) {
+    const [deadLetters] = await pool.query('SELECT message_id FROM dead_letters WHERE id = ?', [id]);
+    if (deadLetters.length === 0) return false;
+
+    const [result] = await pool.query('DELETE FROM dead_letters WHERE id = ?', [id]);
+    const { message_id: messageId } = deadLetters[0];
+    await pool.query(`
+      DELETE FROM dead_letter_messages
+      WHERE id = ? AND NOT EXISTS (SELECT 1 FROM dead_letters WHERE message_id = ?)
+    `, [messageId, messageId]);
+
+    return result.affectedRows > 0;
+  }
+
+  // Dead letters never outlive their message, which is kept at least as long
+  async purgeExpired() {
+    const [result] = await pool.query('DELETE FROM dead_letters WHERE expires_at <= NOW()');
+    await pool.query('DELETE FROM dead_letter_messages WHERE expires_at <= NOW()');
+    return result.affectedRows;
+  }
+}
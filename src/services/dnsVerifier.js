@@ -1,13 +1,14 @@
-import dns from 'dns';
-import { promisify } from 'util';
-
-const resolveMx = promisify(dns.resolveMx);
-const resolveTxt = promisify(dns.resolveTxt);
+import { createDnsResolver } from '../utils/dnsResolver.js';
 
 export class DnsVerifier {
+  // resolver(name, rrtype) defaults to system DNS (or DNS_ZONE_FILE)
+  constructor(options = {}) {
+    this.resolver = options.resolver || createDnsResolver();
+  }
+
   async verifyMxRecord(domain, expectedValue) {
     try {
-      const records = await resolveMx(domain);
+      const records = await this.resolver(domain, 'MX');
       return records.some(record => 
         record.exchange === expectedValue.split(' ')[1] && 
         record.priority === parseInt(expectedValue.split(' ')[0])
@@ -20,7 +21,7 @@ export class DnsVerifier {
 
   async verifySpfRecord(domain, expectedValue) {
     try {
-      const records = await resolveTxt(domain);
+      const records = await this.resolver(domain, 'TXT');
       return records.some(record => 
         record.some(txt => txt.includes('v=spf1'))
       );
@@ -32,7 +33,7 @@ export class DnsVerifier {
 
   async verifyDkimRecord(domain, selector = 'default') {
     try {
-      const records = await resolveTxt(`${selector}._domainkey.${domain}`);
+      const records = await this.resolver(`${selector}._domainkey.${domain}`, 'TXT');
       return records.some(record => 
         record.some(txt => txt.includes('v=DKIM1'))
       );
@@ -1,8 +1,62 @@
+import { v4 as uuidv4 } from 'uuid';
 import { pool } from '../db/init.js';
-import nodemailer from 'nodemailer';
 import { mailTransporter } from '../index.js';
+import { normalizeAddress, resolveCidReferences } from '../utils/emailParser.js';
+import { MailAuthenticator } from './mailAuthenticator.js';
+import { AttachmentStore } from './attachmentStore.js';
+import { HtmlSanitizer } from './htmlSanitizer.js';
+import { MessageThreader } from './messageThreader.js';
+import { VerificationExtractor } from './verificationExtractor.js';
+import { MailSearch } from './mailSearch.js';
+import { DeadLetterStore } from './deadLetterStore.js';
+import { IngestionDeduplicator, DuplicateDeliveryError } from './ingestionDeduplicator.js';
+import { QuotaManager, messageSize } from './quotaManager.js';
+import inboxEvents, { INBOX_EVENT } from './inboxEvents.js';
+import webhookDispatcher, { WEBHOOK_EVENTS } from './webhookDispatcher.js';
+
+const MAX_TAG_LENGTH = 64;
+// Delivery transactions run again after losing to a concurrent attempt
+const MAX_STORE_ATTEMPTS = 2;
+
+// Reasons a recipient is refused by the ingestion pipeline
+export const REJECTION = {
+  NOT_FOUND: 'RECIPIENT_NOT_FOUND',
+  EXPIRED: 'RECIPIENT_EXPIRED',
+  MESSAGE_TOO_LARGE: 'MESSAGE_TOO_LARGE',
+  MAILBOX_FULL: 'MAILBOX_FULL'
+};
+
+// Catch-all exclusions are local parts, optionally with * wildcards
+export function parseExclusions(value) {
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+export function isExcludedLocalPart(localPart, exclusions) {
+  return exclusions.some(pattern => {
+    const escaped = String(pattern).toLowerCase().replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${escaped.replace(/\*/g, '.*')}$`).test(localPart);
+  });
+}
 
 export class EmailRouter {
+  constructor(options = {}) {
+    this.mailAuthenticator = options.mailAuthenticator || new MailAuthenticator();
+    this.attachmentStore = options.attachmentStore || new AttachmentStore();
+    this.htmlSanitizer = options.htmlSanitizer || new HtmlSanitizer();
+    this.messageThreader = options.messageThreader || new MessageThreader();
+    this.verificationExtractor = options.verificationExtractor || new VerificationExtractor();
+    this.mailSearch = options.mailSearch || new MailSearch();
+    this.deadLetterStore = options.deadLetterStore || new DeadLetterStore();
+    this.ingestionDeduplicator = options.ingestionDeduplicator || new IngestionDeduplicator();
+    this.quotaManager = options.quotaManager || new QuotaManager({ attachmentStore: this.attachmentStore });
+  }
+
   async getRoutingInfo(recipientEmail) {
     const connection = await pool.getConnection();
     try {
@@ -21,6 +75,7 @@ export class EmailRouter {
       if (customDomain.length > 0) {
         return {
           type: 'custom',
+          domainId: customDomain[0].id,
           forwardTo: customDomain[0].forward_to,
           userId: customDomain[0].user_id
         };
@@ -52,44 +107,571 @@ export class EmailRouter {
     }
   }
 
-  async handleIncomingEmail(recipientEmail, emailData) {
-    const routing = await this.getRoutingInfo(recipientEmail);
-    
-    if (!routing) {
-      throw new Error('Invalid recipient domain');
+  // Look up the temporary inbox for a recipient address, active or not
+  async findInbox(recipientEmail) {
+    const [tempEmails] = await pool.query(
+      `SELECT id, user_id, email, expires_at, plus_addressing_enabled, quota_policy, (expires_at > NOW()) as is_active
+       FROM temp_emails WHERE email = ?`,
+      [recipientEmail]
+    );
+
+    return tempEmails[0] || null;
+  }
+
+  // Plus-addressing: name+tag@domain is delivered to name@domain with the
+  // tag recorded on the message, unless an inbox exists for the full
+  // address. Owners can turn this off per inbox.
+  async findInboxForAddress(recipient) {
+    const exact = await this.findInbox(recipient);
+    const [localPart, domain] = recipient.split('@');
+    const plusIndex = localPart.indexOf('+');
+
+    if (exact || plusIndex <= 0) {
+      return { address: recipient, tag: null, inbox: exact };
     }
 
-    const connection = await pool.getConnection();
+    const address = `${localPart.slice(0, plusIndex)}@${domain}`;
+    const tag = localPart.slice(plusIndex + 1).slice(0, MAX_TAG_LENGTH) || null;
+    const inbox = await this.findInbox(address);
+
+    if (inbox && !inbox.plus_addressing_enabled) {
+      return { address: recipient, tag: null, inbox: null, plusAddressingDisabled: true };
+    }
+
+    return { address, tag, inbox };
+  }
+
+  // Decide what happens to mail for a recipient: store it in an active
+  // inbox, forward it (custom domain or forwarding rule), or reject it.
+  async resolveRecipient(recipientEmail) {
+    const recipient = normalizeAddress(recipientEmail);
+    if (!recipient.includes('@')) {
+      return { recipient, accepted: false, reason: REJECTION.NOT_FOUND };
+    }
+
+    const { address, tag, inbox, plusAddressingDisabled } = await this.findInboxForAddress(recipient);
+    if (plusAddressingDisabled) {
+      return { recipient, accepted: false, reason: REJECTION.NOT_FOUND };
+    }
+
+    const routing = await this.getRoutingInfo(address);
+    const forwardTo = routing?.forwardTo || null;
+    const activeInbox = inbox && inbox.is_active ? inbox : null;
+
+    // Unknown address on a catch-all custom domain: the inbox is created
+    // when the message is stored, not here, so RCPT TO checks have no
+    // side effects
+    const provision = !inbox && routing?.type === 'custom' ?
+      await this.getCatchAllProvision(address, routing) :
+      null;
+
+    if (!activeInbox && !provision && !forwardTo) {
+      return {
+        recipient,
+        accepted: false,
+        reason: inbox ? REJECTION.EXPIRED : REJECTION.NOT_FOUND
+      };
+    }
+
+    return {
+      recipient,
+      address,
+      tag,
+      accepted: true,
+      inbox: activeInbox,
+      provision,
+      forwardTo,
+      userId: inbox?.user_id || routing?.userId || null
+    };
+  }
+
+  // Returns { domainId, userId } when catch-all mode accepts this address
+  async getCatchAllProvision(recipient, routing) {
+    const [settings] = await pool.query(
+      'SELECT * FROM domain_catch_all WHERE domain_id = ? AND is_enabled = 1',
+      [routing.domainId]
+    );
+
+    if (settings.length === 0) return null;
+
+    const localPart = recipient.split('@')[0];
+    if (isExcludedLocalPart(localPart, parseExclusions(settings[0].excluded_local_parts))) {
+      return null;
+    }
+
+    const [countResult] = await pool.query(
+      'SELECT COUNT(*) as total FROM temp_emails WHERE domain_id = ? AND auto_created = 1',
+      [routing.domainId]
+    );
+
+    if (countResult[0].total >= settings[0].max_auto_inboxes) {
+      console.warn(`Catch-all inbox limit reached for domain ${routing.domainId}`);
+      return null;
+    }
+
+    return { domainId: routing.domainId, userId: routing.userId };
+  }
+
+  // Create the inbox for a catch-all address on first delivery, under the
+  // domain owner's account (same lifetime as inboxes created via the API)
+  async provisionInbox(connection, recipient, provision) {
+    await connection.query(
+      `INSERT IGNORE INTO temp_emails (id, user_id, email, domain_id, expires_at, auto_created)
+       VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL 2 MONTH), 1)`,
+      [uuidv4(), provision.userId, recipient, provision.domainId]
+    );
+
+    // A concurrent delivery may have created it first
+    const [tempEmails] = await connection.query(
+      'SELECT id, user_id, email, expires_at, quota_policy FROM temp_emails WHERE email = ?',
+      [recipient]
+    );
+
+    return tempEmails[0];
+  }
+
+  // Single ingestion pipeline for every transport (JSON, form-encoded and
+  // raw webhooks, SMTP/LMTP). Takes a normalized message (see
+  // buildEmailData in utils/emailParser.js), delivers a copy to every
+  // recipient that maps to one of our inboxes and reports per-recipient
+  // results. Header (To/Cc) recipients that are not ours are skipped;
+  // envelope recipients are always reported, and kept as dead letters
+  // when rejected (unless deadLetters is false, as for replays).
+  // relayId/deliveryId identify a relay's delivery so its retries are
+  // recognized; recipients already stored are reported with duplicate: true.
+  async processInboundEmail(emailData, options = {}) {
+    const { transport = null, deadLetters = true, relayId = null, deliveryId = null } = options;
+    const envelopeRecipients = new Set(emailData.envelopeRecipients || []);
+    const resolutions = [];
+
+    // Several subaddresses of one inbox still deliver a single copy
+    const deliveredAddresses = new Set();
+    const duplicates = [];
+
+    for (const address of emailData.recipients) {
+      const resolution = await this.resolveRecipient(address);
+      if (!resolution.accepted && !envelopeRecipients.has(resolution.recipient)) continue;
+      if (resolution.accepted && deliveredAddresses.has(resolution.address)) {
+        duplicates.push(resolution);
+        continue;
+      }
+      if (resolution.accepted) deliveredAddresses.add(resolution.address);
+      resolutions.push(resolution);
+    }
+
+    // Retries of a delivery that was already stored get the original copies
+    const ingestionKeys = this.ingestionDeduplicator.keysFor(
+      emailData,
+      resolutions.filter(resolution => resolution.accepted).map(resolution => resolution.recipient),
+      { relayId, deliveryId }
+    );
+    const originals = await this.ingestionDeduplicator.findOriginals(ingestionKeys);
+
+    // Storage quotas: a message too large for a recipient's inbox is
+    // rejected here; full inboxes are found when the copy is stored
+    const size = messageSize(emailData);
+    for (const [index, resolution] of resolutions.entries()) {
+      if (!resolution.accepted || originals.has(resolution.recipient)) continue;
+      if (!resolution.inbox && !resolution.provision) continue;
+
+      if (await this.quotaManager.check(resolution.userId, size)) {
+        resolutions[index] = {
+          recipient: resolution.recipient,
+          address: resolution.address,
+          accepted: false,
+          reason: REJECTION.MESSAGE_TOO_LARGE
+        };
+      }
+    }
+
+    if (!resolutions.some(resolution => resolution.accepted)) {
+      return this.rejectMessage(emailData, resolutions, { deadLetters, transport });
+    }
+
+    // SPF/DKIM/DMARC are evaluated once per message, before any copy is stored
+    const authentication = await this.mailAuthenticator.authenticate(emailData);
+
+    // Scripts and trackers are removed before storage; what was removed
+    // is kept as the message's privacy report
+    const { html: sanitizedHtml, report: privacyReport } = this.htmlSanitizer.sanitize(emailData.body_html);
+
+    // One-time codes and confirmation links, for GET /emails/:id/latest-code
+    // and /latest-link
+    const verification = this.verificationExtractor.extract({ ...emailData, body_html: sanitizedHtml });
+
+    // All inbox copies are written in one transaction
+    let stored, refused;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        ({ stored, refused } = await this.storeEmails(
+          resolutions.filter(resolution => resolution.accepted &&
+            (resolution.inbox || resolution.provision) && !originals.has(resolution.recipient)),
+          { ...emailData, body_html: sanitizedHtml, authentication, privacyReport, verification, size },
+          ingestionKeys
+        ));
+        break;
+      } catch (error) {
+        if (!(error instanceof DuplicateDeliveryError) || attempt === MAX_STORE_ATTEMPTS) throw error;
+
+        // A concurrent attempt of the same delivery committed first: its
+        // copies are reported, the other recipients are stored again
+        for (const [recipient, original] of await this.ingestionDeduplicator.findOriginals(ingestionKeys)) {
+          originals.set(recipient, original);
+        }
+      }
+    }
+
+    // Inboxes that were full when their copy was to be stored
+    for (const [index, resolution] of resolutions.entries()) {
+      if (refused.has(resolution.recipient)) {
+        resolutions[index] = {
+          recipient: resolution.recipient,
+          address: resolution.address,
+          accepted: false,
+          reason: refused.get(resolution.recipient)
+        };
+      }
+    }
+
+    if (!resolutions.some(resolution => resolution.accepted)) {
+      return this.rejectMessage(emailData, resolutions, { deadLetters, transport });
+    }
+
+    const results = [];
+    for (const resolution of resolutions) {
+      const { recipient } = resolution;
+
+      if (!resolution.accepted) {
+        results.push({ recipient, status: 'rejected', reason: resolution.reason });
+        continue;
+      }
+
+      const original = originals.get(recipient);
+      if (original) {
+        results.push({ recipient, status: 'stored', ...original, duplicate: true });
+        continue;
+      }
+
+      let forwarded = false;
+      if (resolution.forwardTo) {
+        try {
+          await this.forwardEmail(
+            recipient,
+            resolution.forwardTo,
+            emailData.sender,
+            emailData.subject,
+            emailData.body_html || emailData.body_text,
+            emailData.attachments
+          );
+          forwarded = true;
+        } catch (error) {
+          // A failed forward must not lose the stored copy
+          console.error(`Failed to forward email for ${recipient}:`, error);
+        }
+      }
+
+      const copy = stored.get(recipient);
+      if (copy) {
+        this.notifyNewEmail(copy.tempEmailId, emailData);
+        results.push({ recipient, status: 'stored', ...copy, forwarded });
+      } else {
+        results.push({ recipient, status: 'forwarded', forwarded });
+      }
+    }
+
+    const rejected = resolutions.filter(resolution => !resolution.accepted);
+    if (deadLetters && rejected.length > 0) {
+      await this.deadLetterStore.record(emailData, rejected, { transport });
+    }
+
+    // Report recipients that shared another recipient's copy
+    for (const duplicate of duplicates) {
+      const original = resolutions.find(resolution => resolution.address === duplicate.address);
+      const originalResult = results.find(result => result.recipient === original.recipient);
+      results.push({ ...originalResult, recipient: duplicate.recipient, duplicateOf: original.recipient });
+    }
+
+    return { status: 'delivered', results };
+  }
+
+  // No recipient took the message. Only rejected envelope recipients are
+  // kept as dead letters; a message whose header addresses are all foreign
+  // is not ours to keep.
+  async rejectMessage(emailData, resolutions, { deadLetters, transport }) {
+    const rejection = resolutions[0] || { recipient: emailData.recipients[0] || '', reason: REJECTION.NOT_FOUND };
+    if (deadLetters && resolutions.length > 0) {
+      await this.deadLetterStore.record(emailData, resolutions, { transport });
+    }
+    return {
+      status: 'rejected',
+      reason: rejection.reason,
+      results: resolutions.map(r => ({ recipient: r.recipient, status: 'rejected', reason: r.reason }))
+    };
+  }
+
+  // Owner notifications are best effort and never block ingestion
+  async notifyNewEmail(tempEmailId, emailData) {
     try {
-      // Get the temp email details
-      const [tempEmail] = await connection.query(
-        'SELECT * FROM temp_emails WHERE email = ?',
-        [recipientEmail]
-      );
+      // Loaded lazily: the SMTP manager requires SMTP_USER_n configuration
+      const { default: notificationManager } = await import('./notificationManager.js');
+      await notificationManager.sendNewEmailNotifications(tempEmailId, {
+        from_email: emailData.sender,
+        subject: emailData.subject
+      });
+    } catch (error) {
+      console.error('Failed to send new email notification:', error);
+    }
+  }
+
+  // Store a copy of a message (with attachments) in each resolved inbox,
+  // all in one transaction. Returns { stored, refused }: recipient ->
+  // { emailId, tempEmailId }, and recipient -> rejection reason for the
+  // inboxes that were full.
+  async storeEmails(resolutions, emailData, ingestionKeys = new Map()) {
+    const stored = new Map();
+    const refused = new Map();
+    if (resolutions.length === 0) return { stored, refused };
+
+    // Attachment contents are written once, whatever the number of copies
+    const message = {
+      ...emailData,
+      attachments: await this.attachmentStore.saveBlobs(emailData.attachments)
+    };
 
-      // Forward email if there's a forwarding rule (for both custom and system domains)
-      if (routing.forwardTo) {
-        await this.forwardEmail(
-          recipientEmail,
-          routing.forwardTo,
-          emailData.from,
-          emailData.subject,
-          emailData.html || emailData.text,
-          emailData.attachments
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    try {
+      for (const { recipient, address, tag, provision, ...resolution } of resolutions) {
+        // A refused copy leaves nothing behind, not even its new inbox
+        await connection.query('SAVEPOINT inbox_copy');
+        const inbox = resolution.inbox || await this.provisionInbox(connection, address, provision);
+        if (await this.quotaManager.reserve(connection, inbox, inbox.user_id, message.size)) {
+          await connection.query('ROLLBACK TO SAVEPOINT inbox_copy');
+          refused.set(recipient, REJECTION.MAILBOX_FULL);
+          continue;
+        }
+        const { emailId, bodyHtml } = await this.insertEmailCopy(connection, inbox, message, { tag });
+        await this.ingestionDeduplicator.remember(connection, ingestionKeys.get(recipient) || [], {
+          emailId,
+          tempEmailId: inbox.id
+        });
+        await inboxEvents.publish(connection, inbox.id, INBOX_EVENT.EMAIL, {
+          id: emailId,
+          temp_email_id: inbox.id,
+          from_email: message.sender,
+          from_name: message.senderName,
+          subject: message.subject,
+          subaddress_tag: tag,
+          message_type: message.bounce ? 'bounce' : 'message',
+          has_attachments: message.attachments.length > 0,
+          received_at: new Date().toISOString()
+        });
+        await webhookDispatcher.enqueue(
+          connection,
+          inbox.id,
+          message.bounce ? WEBHOOK_EVENTS.EMAIL_BOUNCED : WEBHOOK_EVENTS.EMAIL_RECEIVED,
+          this.webhookEventData(inbox, emailId, { ...message, body_html: bodyHtml }, tag)
         );
+        stored.set(recipient, { emailId, tempEmailId: inbox.id, tag, autoCreated: Boolean(provision) });
       }
 
-      // Store the email in received_emails table
-      await this.storeEmail(emailData, routing.userId || tempEmail[0]?.user_id);
+      await connection.commit();
+      inboxEvents.wake();
+      webhookDispatcher.wake();
 
+      return { stored, refused };
     } catch (error) {
-      console.error('Error handling incoming email:', error);
+      await connection.rollback();
       throw error;
     } finally {
       connection.release();
     }
   }
 
+  // Payload of email.received / email.bounced webhook events, with the
+  // HTML body as stored for the inbox. Attachments are listed without
+  // their content.
+  webhookEventData(inbox, emailId, message, tag) {
+    return {
+      inbox: { id: inbox.id, email: inbox.email },
+      email: {
+        id: emailId,
+        from_email: message.sender,
+        from_name: message.senderName,
+        subject: message.subject,
+        subaddress_tag: tag,
+        message_id: message.messageId || null,
+        body_text: message.body_text,
+        body_html: message.body_html,
+        verification_code: message.verification?.code || null,
+        verification_link: message.verification?.link || null,
+        attachments: message.attachments.map(attachment => ({
+          filename: attachment.filename,
+          content_type: attachment.contentType,
+          size: attachment.size
+        })),
+        size_bytes: message.size || 0,
+        received_at: new Date().toISOString()
+      },
+      bounce: message.bounce ? {
+        type: message.bounce.type,
+        recipient: message.bounce.recipient,
+        status: message.bounce.status,
+        action: message.bounce.action,
+        diagnostic: message.bounce.diagnostic,
+        original_message_id: message.bounce.originalMessage.messageId
+      } : null
+    };
+  }
+
+  // Public URL of a stored attachment, used for inline (cid:) images
+  attachmentUrl(inbox, emailId, attachmentId) {
+    const baseUrl = process.env.API_URL || '';
+    return `${baseUrl}/emails/public/${encodeURIComponent(inbox.email)}/${emailId}/attachments/${attachmentId}`;
+  }
+
+  // Returns the new email's ID and its HTML body as stored
+  async insertEmailCopy(connection, inbox, emailData, { tag = null } = {}) {
+    const emailId = uuidv4();
+
+    // Attachment ids are needed up front to rewrite cid: references in
+    // the HTML body to this copy's attachment URLs
+    const attachments = emailData.attachments.map(attachment => ({ ...attachment, id: uuidv4() }));
+    const { html: bodyHtml, inline } = resolveCidReferences(
+      emailData.body_html,
+      attachments,
+      attachment => this.attachmentUrl(inbox, emailId, attachment.id)
+    );
+    const threadId = await this.messageThreader.assignThread(connection, inbox.id, emailData);
+
+    await connection.query(`
+      INSERT INTO received_emails (
+        id, 
+        temp_email_id, 
+        from_email,
+        from_name,
+        subject, 
+        body_html,
+        body_text,
+        subaddress_tag,
+        message_id,
+        in_reply_to,
+        message_references,
+        thread_id,
+        spf_result,
+        dkim_result,
+        dmarc_result,
+        auth_results,
+        privacy_report,
+        verification_code,
+        verification_link,
+        size_bytes,
+        message_type,
+        bounce_type,
+        received_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+    `, [
+      emailId,
+      inbox.id,
+      emailData.sender,
+      emailData.senderName,
+      emailData.subject,
+      bodyHtml,
+      emailData.body_text,
+      tag,
+      emailData.messageId || null,
+      emailData.inReplyTo || null,
+      emailData.references?.length ? emailData.references.join(' ') : null,
+      threadId,
+      emailData.authentication?.spf || null,
+      emailData.authentication?.dkim || null,
+      emailData.authentication?.dmarc || null,
+      emailData.authentication?.details || null,
+      emailData.privacyReport ? JSON.stringify(emailData.privacyReport) : null,
+      emailData.verification?.code || null,
+      emailData.verification?.link || null,
+      emailData.size || 0,
+      emailData.bounce ? 'bounce' : 'message',
+      emailData.bounce?.type || null
+    ]);
+
+    if (emailData.rawSource) {
+      await connection.query(
+        'INSERT INTO received_email_sources (email_id, raw_source, size) VALUES (?, ?, ?)',
+        [emailId, emailData.rawSource, emailData.rawSource.length]
+      );
+    }
+
+    if (emailData.bounce) {
+      const { bounce } = emailData;
+      await connection.query(`
+        INSERT INTO received_email_bounces (
+          email_id, bounce_type, recipient, status_code, action, diagnostic, reporting_mta, original_message_id, details
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        emailId,
+        bounce.type,
+        bounce.recipient,
+        bounce.status,
+        bounce.action,
+        bounce.diagnostic,
+        bounce.reportingMta,
+        bounce.originalMessage.messageId,
+        JSON.stringify({
+          arrivalDate: bounce.arrivalDate,
+          recipients: bounce.recipients,
+          originalMessage: bounce.originalMessage
+        })
+      ]);
+    }
+
+    if (emailData.headers?.length) {
+      await connection.query(
+        'INSERT INTO received_email_headers (email_id, position, name, value) VALUES ?',
+        [emailData.headers.map((header, position) => [emailId, position, header.name, header.value])]
+      );
+    }
+
+    for (const attachment of attachments) {
+      await connection.query(`
+        INSERT INTO email_attachments (
+          id,
+          email_id,
+          filename,
+          content_type,
+          size,
+          blob_hash,
+          content_id,
+          is_inline,
+          created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())
+      `, [
+        attachment.id,
+        emailId,
+        // Inline images often have no filename
+        attachment.filename || 'attachment',
+        attachment.contentType,
+        attachment.size,
+        attachment.blobHash,
+        attachment.contentId || null,
+        inline.has(attachment)
+      ]);
+      await this.attachmentStore.addReference(connection, attachment.blobHash);
+    }
+
+    await this.mailSearch.indexEmail(connection, {
+      emailId,
+      inbox,
+      emailData,
+      bodyHtml,
+      // Inline images do not count for has:attachment
+      hasAttachment: attachments.some(attachment => !inline.has(attachment))
+    });
+
+    return { emailId, bodyHtml };
+  }
+
   async forwardEmail(fromEmail, toEmail, originalSender, subject, content, attachments = []) {
     try {
       // Create email options
@@ -101,7 +683,9 @@ export class EmailRouter {
         attachments: attachments.map(attachment => ({
           filename: attachment.filename,
           content: attachment.content,
-          contentType: attachment.contentType
+          encoding: 'base64',
+          contentType: attachment.contentType,
+          cid: attachment.contentId || undefined
         })),
         headers: {
           'X-Original-From': originalSender,
@@ -118,53 +702,4 @@ export class EmailRouter {
       throw error;
     }
   }
-
-  async storeEmail(emailData, userId = null) {
-    const connection = await pool.getConnection();
-    try {
-      await connection.beginTransaction();
-
-      // Store email in received_emails table
-      const [result] = await connection.query(
-        `INSERT INTO received_emails (
-          id, temp_email_id, from_email, from_name, subject, 
-          body_html, body_text, received_at, user_id
-        ) VALUES (UUID(), ?, ?, ?, ?, ?, ?, NOW(), ?)`,
-        [
-          emailData.tempEmailId,
-          emailData.from,
-          emailData.fromName,
-          emailData.subject,
-          emailData.html,
-          emailData.text,
-          userId
-        ]
-      );
-
-      // Store attachments if any
-      if (emailData.attachments?.length) {
-        for (const attachment of emailData.attachments) {
-          await connection.query(
-            `INSERT INTO email_attachments (
-              id, email_id, filename, content_type, size, content
-            ) VALUES (UUID(), ?, ?, ?, ?, ?)`,
-            [
-              result.insertId,
-              attachment.filename,
-              attachment.contentType,
-              attachment.size,
-              attachment.content
-            ]
-          );
-        }
-      }
-
-      await connection.commit();
-    } catch (error) {
-      await connection.rollback();
-      throw error;
-    } finally {
-      connection.release();
-    }
-  }
 }
@@ -0,0 +1,177 @@
+import fs from 'fs';
+import sanitizeHtml from 'sanitize-html';
+
+// Hosts that serve open-tracking images. A domain also matches its
+// subdomains.
+const DEFAULT_TRACKER_DOMAINS = [
+  'google-analytics.com',
+  'doubleclick.net',
+  'list-manage.com',
+  'mandrillapp.com',
+  'sendgrid.net',
+  'awstrack.me',
+  'mjt.lu',
+  'mlsend.com',
+  'mailtrack.io',
+  'mailstat.us',
+  'emltrk.com',
+  'bananatag.com',
+  'yesware.com',
+  'mixpanel.com',
+  'returnpath.net',
+  'mailfoogae.appspot.com'
+];
+
+// Removed elements worth telling the user about (html, head, meta and
+// the like are dropped silently)
+const REPORTED_TAGS = [
+  'script', 'noscript', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+  'form', 'input', 'button', 'select', 'textarea', 'base', 'link', 'style', 'svg', 'math'
+];
+
+const MAX_REPORTED_URLS = 50;
+
+// Default policy. HTML_SANITIZER_POLICY may point to a JSON file whose
+// keys override these (arrays and objects are replaced, not merged).
+export const DEFAULT_POLICY = {
+  allowedTags: [
+    ...sanitizeHtml.defaults.allowedTags,
+    'img', 'font', 'center', 'big', 'del', 'ins', 'strike', 'tt'
+  ],
+  allowedAttributes: {
+    '*': ['style', 'class', 'id', 'dir', 'lang', 'title', 'align', 'valign', 'width', 'height',
+      'bgcolor', 'color', 'border'],
+    a: ['href', 'name', 'target', 'rel'],
+    img: ['src', 'alt', 'width', 'height'],
+    font: ['face', 'size'],
+    table: ['cellpadding', 'cellspacing'],
+    td: ['colspan', 'rowspan', 'nowrap'],
+    th: ['colspan', 'rowspan', 'nowrap'],
+    col: ['span'],
+    colgroup: ['span']
+  },
+  allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+  // cid: is resolved to attachment URLs after sanitizing
+  allowedImageSchemes: ['http', 'https', 'cid'],
+  stripTrackingPixels: true,
+  stripTrackerDomains: true,
+  trackerDomains: DEFAULT_TRACKER_DOMAINS
+};
+
+function loadPolicy() {
+  if (!process.env.HTML_SANITIZER_POLICY) return DEFAULT_POLICY;
+  const overrides = JSON.parse(fs.readFileSync(process.env.HTML_SANITIZER_POLICY, 'utf8'));
+  return { ...DEFAULT_POLICY, ...overrides };
+}
+
+// Pixel size from a width/height attribute or inline style, if given
+function dimension(attribs, name) {
+  const styleMatch = (attribs.style || '').match(new RegExp(`(?:^|;)\\s*${name}\\s*:\\s*(\\d+(?:\\.\\d+)?)px`, 'i'));
+  const value = styleMatch ? styleMatch[1] : attribs[name];
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+}
+
+// Sanitizes received HTML before it is stored: removes scripts, event
+// handlers, forms and embedded content, plus tracking images, and
+// reports what was removed (the message's privacy report).
+export class HtmlSanitizer {
+  constructor(options = {}) {
+    this.policy = options.policy || loadPolicy();
+  }
+
+  isTrackerDomain(hostname) {
+    return Boolean(hostname) && this.policy.trackerDomains.some(domain =>
+      hostname === domain || hostname.endsWith(`.${domain}`)
+    );
+  }
+
+  // 1x1 (or smaller) and hidden images only exist to report that the
+  // message was opened
+  isTrackingPixel(attribs) {
+    const width = dimension(attribs, 'width');
+    const height = dimension(attribs, 'height');
+    const sizes = [width, height].filter(size => size !== null);
+    const hidden = /(?:^|;)\s*(?:display\s*:\s*none|visibility\s*:\s*hidden)/i.test(attribs.style || '');
+
+    return hidden || (sizes.length > 0 && sizes.every(size => size <= 1));
+  }
+
+  sanitize(html) {
+    const report = {
+      removedElements: {},
+      removedEventHandlers: 0,
+      removedUnsafeLinks: 0,
+      trackers: []
+    };
+
+    if (!html) {
+      return { html: html || '', report };
+    }
+
+    const { policy } = this;
+
+    const recordTracker = (url, reason) => {
+      if (report.trackers.length >= MAX_REPORTED_URLS) return;
+      report.trackers.push({ url: String(url).slice(0, 500), domain: hostnameOf(url), reason });
+    };
+
+    const sanitized = sanitizeHtml(html, {
+      allowedTags: policy.allowedTags,
+      allowedAttributes: policy.allowedAttributes,
+      allowedSchemes: policy.allowedSchemes,
+      allowedSchemesByTag: { img: policy.allowedImageSchemes },
+      allowProtocolRelative: false,
+
+      onOpenTag: (name, attribs) => {
+        if (REPORTED_TAGS.includes(name) && !policy.allowedTags.includes(name)) {
+          report.removedElements[name] = (report.removedElements[name] || 0) + 1;
+        }
+
+        for (const [attribute, value] of Object.entries(attribs)) {
+          if (/^on/i.test(attribute)) {
+            report.removedEventHandlers++;
+          } else if (['href', 'src', 'action', 'formaction'].includes(attribute) &&
+            /^\s*(?:javascript|vbscript|data\s*:\s*text\/html)/i.test(value)) {
+            report.removedUnsafeLinks++;
+          }
+        }
+      },
+
+      // Links open in a new tab without leaking the inbox URL
+      transformTags: {
+        a: (tagName, attribs) => ({
+          tagName,
+          attribs: { ...attribs, target: '_blank', rel: 'noopener noreferrer nofollow' }
+        })
+      },
+
+      exclusiveFilter: (frame) => {
+        if (frame.tag !== 'img' || !frame.attribs.src || frame.attribs.src.startsWith('cid:')) {
+          return false;
+        }
+
+        const { src } = frame.attribs;
+        if (policy.stripTrackerDomains && this.isTrackerDomain(hostnameOf(src))) {
+          recordTracker(src, 'tracker-domain');
+          return true;
+        }
+        if (policy.stripTrackingPixels && this.isTrackingPixel(frame.attribs)) {
+          recordTracker(src, 'tracking-pixel');
+          return true;
+        }
+        return false;
+      }
+    });
+
+    return { html: sanitized, report };
+  }
+}
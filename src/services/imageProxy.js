@@ -0,0 +1,322 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import path from 'path';
+import axios from 'axios';
+import sanitizeHtml from 'sanitize-html';
+import { LocalBlobStore } from './blobStore.js';
+
+// How remote images in received HTML are shown, chosen per user
+export const REMOTE_IMAGE_MODES = ['load', 'proxy', 'block'];
+export const DEFAULT_REMOTE_IMAGE_MODE = 'proxy';
+
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024; // 5 MB
+const DEFAULT_CACHE_TTL = 24 * 60 * 60; // 24 hours, in seconds
+const FETCH_TIMEOUT = 10000;
+
+// SVG is left out on purpose: it can carry scripts
+const ALLOWED_TYPES = [
+  'image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/avif', 'image/bmp', 'image/x-icon', 'image/vnd.microsoft.icon'
+];
+
+// The proxy must not be usable to reach internal services
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+export function isPrivateAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  const ip = mapped ? mapped[1] : address;
+  const family = net.isIP(ip);
+  if (!family) return false;
+  return PRIVATE_RANGES.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+export class ImageProxyError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Relative URLs resolve against this; they load from our own site
+const RELATIVE_BASE = 'http://relative.invalid';
+
+// Attributes holding a single image URL (background: legacy <body>/<td>)
+const URL_ATTRIBUTES = ['src', 'background', 'poster'];
+
+const CSS_URL = /url\(\s*(["']?)(.*?)\1\s*\)/gi;
+
+// Fetches remote images on behalf of readers and rewrites message HTML
+// so images load through it. Proxy URLs are HMAC signed: only URLs that
+// appeared in a received message can be fetched.
+export class ImageProxy {
+  constructor(options = {}) {
+    // A key of its own: proxy signatures must not be made with the key
+    // that signs login tokens. Without one, "proxy" falls back to "block".
+    this.secret = options.secret || process.env.IMAGE_PROXY_SECRET;
+    this.baseUrl = options.baseUrl ?? process.env.API_URL ?? '';
+    this.maxBytes = options.maxBytes || parseInt(process.env.IMAGE_PROXY_MAX_BYTES || DEFAULT_MAX_BYTES);
+    this.cacheTtl = options.cacheTtl || parseInt(process.env.IMAGE_PROXY_CACHE_TTL || DEFAULT_CACHE_TTL);
+    this.cache = options.cache || new LocalBlobStore({
+      root: process.env.IMAGE_PROXY_CACHE_PATH || 'data/image-cache'
+    });
+    // Only for tests against local servers
+    this.allowPrivateAddresses = Boolean(options.allowPrivateAddresses);
+
+    const lookup = (hostname, lookupOptions, callback) => this.lookup(hostname, lookupOptions, callback);
+    this.httpAgent = new http.Agent({ lookup });
+    this.httpsAgent = new https.Agent({ lookup });
+  }
+
+  sign(url) {
+    if (!this.secret) {
+      throw new Error('IMAGE_PROXY_SECRET is not configured');
+    }
+    return crypto.createHmac('sha256', this.secret).update(url).digest('base64url');
+  }
+
+  verify(url, signature) {
+    if (!this.secret || !url || !signature) return false;
+    const expected = Buffer.from(this.sign(url));
+    const provided = Buffer.from(String(signature));
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+  }
+
+  proxyUrl(url) {
+    return `${this.baseUrl}/images/proxy?url=${encodeURIComponent(url)}&sig=${this.sign(url)}`;
+  }
+
+  // The absolute URL a browser would load a reference from, or null when
+  // it stays on our side: relative URLs, our own URLs (inline
+  // attachments) and non-http schemes. Resolving it the way browsers do
+  // also catches "//host", "\\host" and "https:host".
+  remoteUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(String(url).trim(), RELATIVE_BASE);
+    } catch (error) {
+      return null;
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol) || parsed.origin === RELATIVE_BASE) return null;
+    if (this.baseUrl && parsed.href.startsWith(this.baseUrl)) return null;
+    return parsed.href;
+  }
+
+  isRemote(url) {
+    return this.remoteUrl(url) !== null;
+  }
+
+  // Rewrite remote images in sanitized HTML for the reader's mode:
+  // "load" leaves them alone, "proxy" points them at the proxy and
+  // "block" removes them. Covers src, srcset, background and poster
+  // attributes and url() in style attributes.
+  rewriteHtml(html, mode = DEFAULT_REMOTE_IMAGE_MODE) {
+    if (!html || mode === 'load') return html;
+
+    // null removes the reference
+    const replaceUrl = url => {
+      const remote = this.remoteUrl(url);
+      if (!remote) return url;
+      return mode === 'proxy' && this.secret ? this.proxyUrl(remote) : null;
+    };
+
+    return sanitizeHtml(html, {
+      // Stored HTML is already sanitized; only image references change
+      allowedTags: false,
+      allowedAttributes: false,
+      allowVulnerableTags: true,
+      allowedSchemesAppliedToAttributes: [],
+      parseStyleAttributes: false,
+      transformTags: {
+        '*': (tagName, attribs) => ({ tagName, attribs: this.rewriteAttributes(tagName, attribs, replaceUrl) })
+      }
+    });
+  }
+
+  rewriteAttributes(tagName, attribs, replaceUrl) {
+    const rewritten = { ...attribs };
+
+    for (const name of URL_ATTRIBUTES) {
+      if (rewritten[name] === undefined) continue;
+      const replaced = replaceUrl(rewritten[name]);
+      if (replaced !== null) {
+        rewritten[name] = replaced;
+        continue;
+      }
+      delete rewritten[name];
+      if (tagName === 'img' && name === 'src') rewritten['data-blocked-image'] = '';
+    }
+
+    if (rewritten.srcset !== undefined) {
+      // "url [descriptor], ..."; URLs with commas in them are cut, which
+      // leaves relative, harmless fragments
+      const candidates = rewritten.srcset.split(',')
+        .map(candidate => candidate.trim().split(/\s+/))
+        .filter(([url]) => url)
+        .map(([url, ...descriptors]) => [replaceUrl(url), ...descriptors])
+        .filter(([url]) => url !== null);
+      if (candidates.length > 0) rewritten.srcset = candidates.map(candidate => candidate.join(' ')).join(', ');
+      else delete rewritten.srcset;
+    }
+
+    if (rewritten.style !== undefined) {
+      rewritten.style = this.rewriteStyle(rewritten.style, replaceUrl);
+    }
+
+    return rewritten;
+  }
+
+  // Declarations whose remote URLs cannot be told apart from the rest
+  // (CSS escapes, image-set() strings) are dropped
+  rewriteStyle(style, replaceUrl) {
+    return style.split(';')
+      .filter(declaration => !declaration.includes('\\'))
+      .filter(declaration => !/(?:https?:)?[\\/]{2}/i.test(declaration.replace(CSS_URL, '')))
+      .map(declaration => declaration.replace(CSS_URL, (reference, quote, url) => {
+        if (!this.isRemote(url)) return reference;
+        const replaced = replaceUrl(url);
+        return replaced ? `url("${replaced}")` : 'none';
+      }))
+      .join(';');
+  }
+
+  // dns.lookup that refuses private and loopback addresses
+  lookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) return callback(error);
+
+      const addresses = Array.isArray(address) ? address : [{ address, family }];
+      const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+      if (blocked && !this.allowPrivateAddresses) {
+        return callback(new ImageProxyError(`Refusing to connect to ${blocked.address}`, 403));
+      }
+
+      callback(null, address, family);
+    });
+  }
+
+  assertFetchable(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new ImageProxyError('Invalid image URL', 400);
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new ImageProxyError('Unsupported image URL', 400);
+    }
+
+    // IP literals skip DNS lookups, so check them here
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (!this.allowPrivateAddresses && isPrivateAddress(hostname)) {
+      throw new ImageProxyError('Refusing to fetch from a private address', 403);
+    }
+  }
+
+  cacheKey(url) {
+    return crypto.createHash('sha256').update(url).digest('hex');
+  }
+
+  async readCache(key) {
+    try {
+      const meta = JSON.parse((await this.cache.get(`${key}.json`)).toString());
+      if (Date.now() - meta.fetchedAt > this.cacheTtl * 1000) return null;
+      return { contentType: meta.contentType, content: await this.cache.get(key) };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async writeCache(key, image) {
+    try {
+      await this.cache.put(key, image.content);
+      await this.cache.put(`${key}.json`, Buffer.from(JSON.stringify({
+        contentType: image.contentType,
+        fetchedAt: Date.now()
+      })));
+    } catch (error) {
+      console.error('Failed to cache proxied image:', error);
+    }
+  }
+
+  // Returns { contentType, content }, from the cache when possible
+  async fetchImage(url) {
+    this.assertFetchable(url);
+
+    const key = this.cacheKey(url);
+    const cached = await this.readCache(key);
+    if (cached) return cached;
+
+    let response;
+    try {
+      response = await axios.get(url, {
+        responseType: 'arraybuffer',
+        timeout: FETCH_TIMEOUT,
+        maxContentLength: this.maxBytes,
+        maxRedirects: 3,
+        beforeRedirect: options => this.assertFetchable(options.href),
+        httpAgent: this.httpAgent,
+        httpsAgent: this.httpsAgent,
+        proxy: false,
+        headers: { 'User-Agent': 'Boomlify-ImageProxy/1.0', Accept: ALLOWED_TYPES.join(', ') },
+        validateStatus: status => status === 200
+      });
+    } catch (error) {
+      if (error instanceof ImageProxyError) throw error;
+      if (error.cause instanceof ImageProxyError) throw error.cause;
+      if (/maxContentLength/.test(error.message)) {
+        throw new ImageProxyError('Image exceeds the maximum allowed size', 413);
+      }
+      throw new ImageProxyError('Failed to fetch image', 502);
+    }
+
+    const contentType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (!ALLOWED_TYPES.includes(contentType)) {
+      throw new ImageProxyError('Unsupported image type', 415);
+    }
+
+    const image = { contentType, content: Buffer.from(response.data) };
+    await this.writeCache(key, image);
+    return image;
+  }
+
+  // Delete cache entries older than the cache TTL
+  async pruneCache() {
+    const root = this.cache.root;
+    if (!root) return 0;
+
+    let entries;
+    try {
+      entries = await fs.promises.readdir(root, { recursive: true, withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    const cutoff = Date.now() - this.cacheTtl * 1000;
+    let deleted = 0;
+
+    for (const entry of entries) {
+      if (!entry.isFile()) continue;
+      const file = path.join(entry.parentPath || entry.path, entry.name);
+      const stats = await fs.promises.stat(file);
+      if (stats.mtimeMs < cutoff) {
+        await fs.promises.unlink(file);
+        deleted++;
+      }
+    }
+
+    return deleted;
+  }
+}
@@ -0,0 +1,193 @@
+import fs from 'fs';
+import { SMTPServer } from 'smtp-server';
+import { EmailRouter, REJECTION } from './emailRouter.js';
+import { normalizeAddress, normalizeRawMessage } from '../utils/emailParser.js';
+
+const DEFAULT_MAX_SIZE = 25 * 1024 * 1024; // 25 MB
+
+// Built-in SMTP/LMTP listener. Accepts mail only for recipients the
+// ingestion pipeline would accept (active inboxes, forwarding rules) and
+// hands messages to the same pipeline as POST /webhook/email/incoming.
+export class InboundSmtpServer {
+  constructor(options = {}) {
+    this.emailRouter = options.emailRouter || new EmailRouter();
+    this.hostname = options.hostname || process.env.INBOUND_SMTP_HOSTNAME;
+    this.maxSize = options.maxSize || parseInt(process.env.INBOUND_SMTP_MAX_SIZE || DEFAULT_MAX_SIZE);
+    this.servers = [];
+  }
+
+  createServer({ lmtp = false } = {}) {
+    const options = {
+      lmtp,
+      name: this.hostname,
+      banner: 'Boomlify Mail Service',
+      size: this.maxSize,
+      authOptional: true,
+      disabledCommands: ['AUTH'],
+      logger: false,
+      onRcptTo: (address, session, callback) => this.onRcptTo(address, session, callback),
+      onData: (stream, session, callback) => this.onData(stream, session, callback, lmtp)
+    };
+
+    // STARTTLS is offered only when a certificate is configured
+    if (process.env.INBOUND_SMTP_TLS_KEY && process.env.INBOUND_SMTP_TLS_CERT) {
+      options.key = fs.readFileSync(process.env.INBOUND_SMTP_TLS_KEY);
+      options.cert = fs.readFileSync(process.env.INBOUND_SMTP_TLS_CERT);
+    } else {
+      options.disabledCommands.push('STARTTLS');
+    }
+
+    const server = new SMTPServer(options);
+    server.on('error', (error) => {
+      console.error(`Inbound ${lmtp ? 'LMTP' : 'SMTP'} server error:`, error);
+    });
+
+    return server;
+  }
+
+  async onRcptTo(address, session, callback) {
+    try {
+      const resolution = await this.emailRouter.resolveRecipient(address.address);
+
+      if (!resolution.accepted) {
+        const error = new Error('5.1.1 Recipient address rejected: no such mailbox');
+        error.responseCode = 550;
+        return callback(error);
+      }
+
+      callback();
+    } catch (error) {
+      console.error('Failed to look up SMTP recipient:', error);
+      const tempError = new Error('4.3.0 Temporary lookup failure, try again later');
+      tempError.responseCode = 451;
+      callback(tempError);
+    }
+  }
+
+  onData(stream, session, callback, lmtp = false) {
+    const chunks = [];
+    let done = false;
+
+    // A stream error may still be followed by 'end'; reply only once
+    const reply = (...args) => {
+      if (done) return;
+      done = true;
+      callback(...args);
+    };
+
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('error', error => reply(error));
+    stream.on('end', async () => {
+      if (done) return;
+
+      if (stream.sizeExceeded) {
+        const error = new Error('5.3.4 Message exceeds maximum allowed size');
+        error.responseCode = 552;
+        return reply(error);
+      }
+
+      try {
+        const responses = await this.deliver(Buffer.concat(chunks), session, { lmtp });
+        // LMTP reports a status per recipient, SMTP a single status
+        if (lmtp) {
+          return reply(null, responses);
+        }
+
+        // The copies already stored are committed, so the single status
+        // accepts the message once any recipient got it: a retry would
+        // duplicate them, a bounce would be wrong. Rejected recipients are
+        // kept as dead letters by the router.
+        const failures = responses.filter(response => response instanceof Error);
+        if (failures.length < responses.length) {
+          if (failures.length > 0) {
+            console.warn(`Accepted SMTP message with ${failures.length} undeliverable recipient(s):`,
+              failures.map(failure => failure.message).join('; '));
+          }
+          return reply(null);
+        }
+        // Nothing was stored; a temporary failure wins, so the sender retries
+        reply(failures.find(failure => failure.responseCode < 500) || failures[0]);
+      } catch (error) {
+        console.error('Failed to process inbound SMTP message:', error);
+        const tempError = new Error('4.3.0 Failed to process message, try again later');
+        tempError.responseCode = 451;
+        reply(tempError);
+      }
+    });
+  }
+
+  // Deliver one message to all envelope recipients (header To/Cc addresses
+  // are not used: over SMTP the envelope is authoritative)
+  async deliver(rawMessage, session, { lmtp = false } = {}) {
+    const envelopeSender = session.envelope.mailFrom?.address;
+    const rcptTo = session.envelope.rcptTo.map(rcpt => rcpt.address);
+
+    const emailData = await normalizeRawMessage(rawMessage, {
+      recipient: rcptTo,
+      client: {
+        ip: session.remoteAddress,
+        helo: session.hostNameAppearsAs,
+        mailFrom: envelopeSender
+      },
+      headerFanOut: false
+    });
+    if (!emailData.sender && envelopeSender) {
+      emailData.sender = envelopeSender;
+    }
+
+    let results;
+    try {
+      ({ results } = await this.emailRouter.processInboundEmail(emailData, { transport: lmtp ? 'lmtp' : 'smtp' }));
+    } catch (error) {
+      console.error('Failed to store inbound SMTP message:', error);
+      const tempError = new Error('4.3.0 Failed to store message, try again later');
+      tempError.responseCode = 451;
+      return rcptTo.map(() => tempError);
+    }
+
+    return rcptTo.map(address => {
+      const result = results.find(r => r.recipient === normalizeAddress(address));
+      if (result?.reason === REJECTION.MESSAGE_TOO_LARGE) {
+        const error = new Error('5.3.4 Message too big for recipient');
+        error.responseCode = 552;
+        return error;
+      }
+      if (result?.reason === REJECTION.MAILBOX_FULL) {
+        const error = new Error('5.2.2 Mailbox full');
+        error.responseCode = 552;
+        return error;
+      }
+      if (!result || result.status === 'rejected') {
+        // The inbox expired between RCPT TO and the end of DATA
+        const error = new Error('5.1.1 Recipient address rejected: no such mailbox');
+        error.responseCode = 550;
+        return error;
+      }
+      return result.emailId ? `OK: message stored as ${result.emailId}` : 'OK: message forwarded';
+    });
+  }
+
+  start() {
+    const host = process.env.INBOUND_SMTP_HOST || '0.0.0.0';
+    const listeners = [
+      { lmtp: false, port: process.env.INBOUND_SMTP_PORT },
+      { lmtp: true, port: process.env.INBOUND_LMTP_PORT }
+    ];
+
+    for (const { lmtp, port } of listeners) {
+      if (!port) continue;
+
+      const server = this.createServer({ lmtp });
+      server.listen(parseInt(port), host, () => {
+        console.log(`Inbound ${lmtp ? 'LMTP' : 'SMTP'} server listening on ${host}:${port}`);
+      });
+      this.servers.push(server);
+    }
+
+    return this.servers.length > 0;
+  }
+
+  stop() {
+    return Promise.all(this.servers.map(server => new Promise(resolve => server.close(resolve))));
+  }
+}
@@ -0,0 +1,211 @@
+import { pool } from '../db/init.js';
+
+const DEFAULT_POLL_INTERVAL_MS = 1000;
+const DEFAULT_RETENTION_HOURS = 24;
+
+// Events read per poll, and replayed at most on resume (Last-Event-ID)
+const POLL_BATCH_SIZE = 500;
+const MAX_REPLAYED_EVENTS = 100;
+
+// Event ids are assigned on insert but become visible on commit, so a
+// lower id can appear after a higher one. The poller keeps reading
+// events younger than this, skipping the ones it already sent.
+const SETTLE_SECONDS = 10;
+
+// Event types: a message was stored, messages were deleted ({ ids }), the
+// inbox itself was deleted
+export const INBOX_EVENT = {
+  EMAIL: 'email',
+  DELETED: 'deleted',
+  INBOX_DELETED: 'inbox_deleted'
+};
+
+// Inbox events (a message was stored, deleted, ...) for live clients. Events are
+// rows in inbox_events, written in the same transaction as the change they
+// describe; every API instance polls the table and hands new rows to its
+// own subscribers, so a client gets the event whichever instance stored
+// the message. Row ids are the event ids clients resume from.
+class InboxEventBus {
+  constructor(options = {}) {
+    this.pollInterval = options.pollInterval ||
+      parseInt(process.env.INBOX_EVENTS_POLL_MS || DEFAULT_POLL_INTERVAL_MS);
+    this.retentionHours = options.retentionHours ||
+      parseInt(process.env.INBOX_EVENTS_RETENTION_HOURS || DEFAULT_RETENTION_HOURS);
+
+    // inbox id -> Set of subscribers
+    this.subscribers = new Map();
+    // Events up to the watermark are settled; ids above it already sent
+    this.watermark = 0;
+    this.sent = new Set();
+    this.timer = null;
+    this.polling = null;
+    this.pollAgain = false;
+  }
+
+  // Runs inside the transaction that makes the change
+  async publish(connection, inboxId, type, data) {
+    await connection.query(
+      'INSERT INTO inbox_events (temp_email_id, type, payload) VALUES (?, ?, ?)',
+      [inboxId, type, JSON.stringify(data)]
+    );
+  }
+
+  // Call after the publishing transaction commits: subscribers on this
+  // instance get the event now instead of at the next poll
+  wake() {
+    if (this.subscribers.size === 0) return;
+    if (this.polling) {
+      this.pollAgain = true;
+      return;
+    }
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.poll();
+  }
+
+  // Listen for an inbox's events; onEvent gets { id, type, data }. With
+  // lastEventId, events after it are replayed first (up to
+  // MAX_REPLAYED_EVENTS). Returns the unsubscribe function.
+  async subscribe(inboxId, { lastEventId = null, onEvent }) {
+    await this.start();
+
+    // Polled events are held back until the replay is sent, to keep order
+    const subscriber = { onEvent, pending: [] };
+    if (!this.subscribers.has(inboxId)) this.subscribers.set(inboxId, new Set());
+    this.subscribers.get(inboxId).add(subscriber);
+
+    const unsubscribe = () => {
+      const inboxSubscribers = this.subscribers.get(inboxId);
+      if (!inboxSubscribers) return;
+      inboxSubscribers.delete(subscriber);
+      if (inboxSubscribers.size === 0) this.subscribers.delete(inboxId);
+    };
+
+    const replayed = new Set();
+    try {
+      if (lastEventId !== null) {
+        const [events] = await pool.query(`
+          SELECT id, type, payload
+          FROM inbox_events
+          WHERE temp_email_id = ? AND id > ?
+          ORDER BY id
+          LIMIT ?
+        `, [inboxId, lastEventId, MAX_REPLAYED_EVENTS]);
+
+        for (const event of events) {
+          replayed.add(Number(event.id));
+          this.send(subscriber, event);
+        }
+      }
+    } catch (error) {
+      unsubscribe();
+      throw error;
+    }
+
+    const pending = subscriber.pending;
+    subscriber.pending = null;
+    pending
+      .filter(event => !replayed.has(Number(event.id)))
+      .forEach(event => this.send(subscriber, event));
+
+    return unsubscribe;
+  }
+
+  send(subscriber, event) {
+    try {
+      subscriber.onEvent({ id: Number(event.id), type: event.type, data: JSON.parse(event.payload) });
+    } catch (error) {
+      console.error('Failed to send inbox event:', error);
+    }
+  }
+
+  async start() {
+    // After an idle period, events published meanwhile are not new to anyone
+    if (this.subscribers.size === 0 && !this.polling) {
+      const [rows] = await pool.query('SELECT COALESCE(MAX(id), 0) as id FROM inbox_events');
+      this.watermark = Number(rows[0].id);
+      this.sent.clear();
+    }
+    if (!this.timer && !this.polling) this.schedule();
+  }
+
+  schedule() {
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.poll();
+    }, this.pollInterval);
+    this.timer.unref();
+  }
+
+  // Read new events of inboxes with subscribers on this instance. Polling
+  // stops while nobody listens and resumes on subscribe.
+  async poll() {
+    if (this.polling) return this.polling;
+
+    this.polling = (async () => {
+      try {
+        let from = this.watermark;
+        while (this.subscribers.size > 0) {
+          const [events] = await pool.query(`
+            SELECT id, temp_email_id, type, payload
+            FROM inbox_events
+            WHERE id > ? AND temp_email_id IN (?)
+            ORDER BY id
+            LIMIT ?
+          `, [from, [...this.subscribers.keys()], POLL_BATCH_SIZE]);
+
+          for (const event of events) {
+            const id = Number(event.id);
+            from = id;
+            if (this.sent.has(id)) continue;
+            this.sent.add(id);
+
+            for (const subscriber of this.subscribers.get(event.temp_email_id) || []) {
+              if (subscriber.pending) subscriber.pending.push(event);
+              else this.send(subscriber, event);
+            }
+          }
+
+          if (events.length < POLL_BATCH_SIZE) break;
+        }
+
+        // Newest event old enough that no lower id can still commit
+        const [settled] = await pool.query(`
+          SELECT id FROM inbox_events
+          WHERE id > ? AND created_at < DATE_SUB(NOW(), INTERVAL ? SECOND)
+          ORDER BY id DESC
+          LIMIT 1
+        `, [this.watermark, SETTLE_SECONDS]);
+
+        if (settled.length > 0) {
+          this.watermark = Number(settled[0].id);
+          for (const id of this.sent) {
+            if (id <= this.watermark) this.sent.delete(id);
+          }
+        }
+      } catch (error) {
+        console.error('Failed to poll inbox events:', error);
+      } finally {
+        this.polling = null;
+        if (this.pollAgain) {
+          this.pollAgain = false;
+          this.poll();
+        } else if (this.subscribers.size > 0 && !this.timer) {
+          this.schedule();
+        }
+      }
+    })();
+
+    return this.polling;
+  }
+
+  async purgeExpired() {
+    const [result] = await pool.query(
+      'DELETE FROM inbox_events WHERE created_at < DATE_SUB(NOW(), INTERVAL ? HOUR)',
+      [this.retentionHours]
+    );
+    return result.affectedRows;
+  }
+}
+
+export default new InboxEventBus();
@@ -0,0 +1,297 @@
+import jwt from 'jsonwebtoken';
+import { WebSocket, WebSocketServer } from 'ws';
+import { pool } from '../db/init.js';
+import inboxEvents, { INBOX_EVENT } from './inboxEvents.js';
+import { verifyInboxToken } from '../middleware/auth.js';
+
+const DEFAULT_PATH = '/ws';
+const DEFAULT_MAX_SUBSCRIPTIONS = 100;
+const DEFAULT_MAX_MESSAGES_PER_MINUTE = 120;
+
+// Client messages are small JSON commands
+const MAX_PAYLOAD_BYTES = 16 * 1024;
+
+// Connections that neither authenticate nor subscribe in time are closed
+const AUTH_TIMEOUT_MS = 10 * 1000;
+
+// Connections that miss a ping interval without a pong are dropped
+const PING_INTERVAL_MS = 30 * 1000;
+
+// setTimeout cannot wait longer than this
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Close codes (4000-4999 are for applications)
+const CLOSE_CODE = {
+  AUTH_TIMEOUT: 4001,
+  RATE_LIMITED: 4008
+};
+
+// Live inbox events over one WebSocket per client (GET /ws). A client
+// authenticates once, then subscribes to any number of inboxes and gets
+// their new-mail, deletion and expiry events on the same connection.
+//
+// Client -> server (JSON; an optional "ref" is echoed in the reply):
+//   { type: 'auth', token }                   user JWT, for owned inboxes
+//   { type: 'subscribe', inboxId, lastEventId }
+//   { type: 'subscribe', accessToken, lastEventId }  public inboxes
+//   { type: 'unsubscribe', inboxId }
+//   { type: 'ping' }
+// Server -> client:
+//   { type: 'authenticated' }, { type: 'subscribed', inboxId, email, expiresAt },
+//   { type: 'unsubscribed', inboxId }, { type: 'pong' },
+//   { type: 'event', inboxId, id, event, data }   (see INBOX_EVENT)
+//   { type: 'expired', inboxId }, { type: 'error', error }
+export class InboxSocketServer {
+  constructor(options = {}) {
+    this.path = options.path || DEFAULT_PATH;
+    this.maxSubscriptions = options.maxSubscriptions ||
+      parseInt(process.env.WS_MAX_SUBSCRIPTIONS || DEFAULT_MAX_SUBSCRIPTIONS);
+    this.maxMessagesPerMinute = options.maxMessagesPerMinute ||
+      parseInt(process.env.WS_MAX_MESSAGES_PER_MINUTE || DEFAULT_MAX_MESSAGES_PER_MINUTE);
+    this.wss = null;
+    this.pingTimer = null;
+  }
+
+  // Handle upgrades on the HTTP server the API listens on
+  attach(server) {
+    this.wss = new WebSocketServer({ server, path: this.path, maxPayload: MAX_PAYLOAD_BYTES });
+    this.wss.on('connection', socket => this.handleConnection(socket));
+    this.wss.on('error', error => console.error('Inbox WebSocket server error:', error));
+
+    this.pingTimer = setInterval(() => this.pingClients(), PING_INTERVAL_MS);
+    this.pingTimer.unref();
+  }
+
+  close() {
+    clearInterval(this.pingTimer);
+    this.wss?.close();
+  }
+
+  handleConnection(socket) {
+    const client = {
+      socket,
+      userId: null,
+      // inbox id -> { unsubscribe, expiryTimer, held }
+      subscriptions: new Map(),
+      messageTimes: [],
+      alive: true,
+      closed: false
+    };
+    socket.inboxClient = client;
+
+    client.authTimer = setTimeout(() => {
+      if (!client.userId && client.subscriptions.size === 0) {
+        socket.close(CLOSE_CODE.AUTH_TIMEOUT, 'Authentication required');
+      }
+    }, AUTH_TIMEOUT_MS);
+
+    socket.on('pong', () => { client.alive = true; });
+    socket.on('message', (data, isBinary) => this.handleMessage(client, data, isBinary));
+    socket.on('close', () => this.closeClient(client));
+    socket.on('error', error => console.error('Inbox WebSocket error:', error.message));
+  }
+
+  pingClients() {
+    for (const socket of this.wss.clients) {
+      const client = socket.inboxClient;
+      if (client && !client.alive) {
+        socket.terminate();
+        continue;
+      }
+      if (client) client.alive = false;
+      socket.ping();
+    }
+  }
+
+  send(client, message) {
+    if (client.closed || client.socket.readyState !== WebSocket.OPEN) return;
+    client.socket.send(JSON.stringify(message));
+  }
+
+  // Sliding one-minute window of client messages
+  isRateLimited(client) {
+    const now = Date.now();
+    client.messageTimes = client.messageTimes.filter(time => time > now - 60 * 1000);
+    client.messageTimes.push(now);
+    return client.messageTimes.length > this.maxMessagesPerMinute;
+  }
+
+  async handleMessage(client, data, isBinary) {
+    if (this.isRateLimited(client)) {
+      this.send(client, { type: 'error', error: 'Too many messages' });
+      client.socket.close(CLOSE_CODE.RATE_LIMITED, 'Rate limit exceeded');
+      return;
+    }
+
+    let message;
+    try {
+      message = isBinary ? null : JSON.parse(data.toString());
+    } catch (error) {
+      message = null;
+    }
+    if (!message || typeof message !== 'object') {
+      return this.send(client, { type: 'error', error: 'Invalid message' });
+    }
+
+    const reply = response => this.send(client, message.ref !== undefined ? { ...response, ref: message.ref } : response);
+
+    try {
+      switch (message.type) {
+        case 'auth':
+          return reply(this.authenticate(client, message));
+        case 'subscribe': {
+          const response = await this.subscribe(client, message);
+          reply(response);
+          return this.flushEvents(client, response.inboxId);
+        }
+        case 'unsubscribe':
+          return reply(this.unsubscribe(client, message.inboxId));
+        case 'ping':
+          return reply({ type: 'pong' });
+        default:
+          return reply({ type: 'error', error: 'Unknown message type' });
+      }
+    } catch (error) {
+      console.error('Inbox WebSocket message error:', error);
+      reply({ type: 'error', error: 'Request failed' });
+    }
+  }
+
+  authenticate(client, { token }) {
+    try {
+      const user = jwt.verify(String(token || ''), process.env.JWT_SECRET);
+      if (!user.id) return { type: 'error', error: 'Invalid token' };
+      client.userId = user.id;
+      return { type: 'authenticated' };
+    } catch (error) {
+      return { type: 'error', error: 'Invalid token' };
+    }
+  }
+
+  async subscribe(client, { inboxId, accessToken, lastEventId }) {
+    let inbox;
+    if (accessToken) {
+      const tokenInboxId = verifyInboxToken(String(accessToken));
+      if (!tokenInboxId) return { type: 'error', error: 'Invalid access token' };
+
+      const [inboxes] = await pool.query(
+        'SELECT id, email, expires_at FROM temp_emails WHERE id = ?',
+        [tokenInboxId]
+      );
+      inbox = inboxes[0];
+    } else {
+      if (!client.userId) return { type: 'error', error: 'Not authenticated' };
+      if (!inboxId) return { type: 'error', error: 'inboxId or accessToken is required' };
+
+      const [inboxes] = await pool.query(
+        'SELECT id, email, expires_at FROM temp_emails WHERE id = ? AND user_id = ?',
+        [String(inboxId), client.userId]
+      );
+      inbox = inboxes[0];
+    }
+
+    if (!inbox) return { type: 'error', error: 'Inbox not found' };
+    if (new Date(inbox.expires_at) <= new Date()) {
+      return { type: 'error', inboxId: inbox.id, error: 'Inbox has expired' };
+    }
+
+    const subscribed = { type: 'subscribed', inboxId: inbox.id, email: inbox.email, expiresAt: inbox.expires_at };
+    if (client.subscriptions.has(inbox.id)) return subscribed;
+    if (client.subscriptions.size >= this.maxSubscriptions) {
+      return { type: 'error', inboxId: inbox.id, error: 'Subscription limit reached' };
+    }
+
+    // Reserved before subscribing, so repeated requests count once. Events
+    // are held back until the client has the "subscribed" reply.
+    const subscription = { unsubscribe: null, expiryTimer: null, held: [] };
+    client.subscriptions.set(inbox.id, subscription);
+
+    const resumeFrom = parseInt(lastEventId);
+    try {
+      subscription.unsubscribe = await inboxEvents.subscribe(inbox.id, {
+        lastEventId: Number.isNaN(resumeFrom) ? null : resumeFrom,
+        onEvent: event => {
+          if (subscription.held) subscription.held.push(event);
+          else this.sendEvent(client, inbox.id, event);
+        }
+      });
+    } catch (error) {
+      client.subscriptions.delete(inbox.id);
+      throw error;
+    }
+
+    // Closed or unsubscribed while the replay ran
+    if (client.closed || client.subscriptions.get(inbox.id) !== subscription) {
+      subscription.unsubscribe();
+      return subscribed;
+    }
+
+    this.scheduleExpiry(client, inbox.id, inbox.expires_at);
+    return subscribed;
+  }
+
+  flushEvents(client, inboxId) {
+    const subscription = client.subscriptions.get(inboxId);
+    if (!subscription?.held) return;
+
+    const held = subscription.held;
+    subscription.held = null;
+    held.forEach(event => this.sendEvent(client, inboxId, event));
+  }
+
+  sendEvent(client, inboxId, event) {
+    this.send(client, { type: 'event', inboxId, id: event.id, event: event.type, data: event.data });
+
+    // Nothing more will happen in a deleted inbox
+    if (event.type === INBOX_EVENT.INBOX_DELETED) this.removeSubscription(client, inboxId);
+  }
+
+  unsubscribe(client, inboxId) {
+    const subscription = client.subscriptions.get(inboxId);
+    if (!subscription) return { type: 'error', inboxId, error: 'Not subscribed' };
+
+    this.removeSubscription(client, inboxId);
+    return { type: 'unsubscribed', inboxId };
+  }
+
+  removeSubscription(client, inboxId) {
+    const subscription = client.subscriptions.get(inboxId);
+    if (!subscription) return;
+
+    client.subscriptions.delete(inboxId);
+    clearTimeout(subscription.expiryTimer);
+    subscription.unsubscribe?.();
+  }
+
+  // At the inbox's expiry the subscription ends with an "expired" message,
+  // unless the inbox was extended meanwhile
+  scheduleExpiry(client, inboxId, expiresAt) {
+    const subscription = client.subscriptions.get(inboxId);
+    const delay = Math.min(Math.max(new Date(expiresAt) - Date.now(), 0), MAX_TIMER_MS);
+
+    subscription.expiryTimer = setTimeout(async () => {
+      try {
+        const [inboxes] = await pool.query('SELECT expires_at FROM temp_emails WHERE id = ?', [inboxId]);
+        if (client.subscriptions.get(inboxId) !== subscription) return;
+
+        if (inboxes.length > 0 && new Date(inboxes[0].expires_at) > new Date()) {
+          return this.scheduleExpiry(client, inboxId, inboxes[0].expires_at);
+        }
+
+        this.removeSubscription(client, inboxId);
+        this.send(client, { type: 'expired', inboxId });
+      } catch (error) {
+        console.error('Failed to check inbox expiry:', error);
+        this.scheduleExpiry(client, inboxId, new Date(Date.now() + PING_INTERVAL_MS));
+      }
+    }, delay);
+  }
+
+  closeClient(client) {
+    client.closed = true;
+    clearTimeout(client.authTimer);
+    for (const inboxId of [...client.subscriptions.keys()]) {
+      this.removeSubscription(client, inboxId);
+    }
+  }
+}
@@ -0,0 +1,112 @@
+import crypto from 'crypto';
+import { pool } from '../db/init.js';
+
+const DEFAULT_WINDOW_HOURS = 24;
+
+// Raised when another attempt of the same delivery stored its copy first
+export class DuplicateDeliveryError extends Error {}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Hash of the message content: the raw source when we have it, otherwise
+// the normalized parts
+export function contentHash(emailData) {
+  if (emailData.rawSource) return sha256(emailData.rawSource);
+
+  return sha256(JSON.stringify([
+    emailData.sender || '',
+    emailData.subject || '',
+    emailData.body_text || '',
+    emailData.body_html || '',
+    (emailData.attachments || []).map(attachment => attachment.content || '')
+  ]));
+}
+
+// Relays retry webhooks on timeouts, which would store the same message
+// again. Every stored copy is remembered under its ingestion keys for
+// INGESTION_DEDUP_WINDOW_HOURS:
+//   - the relay's delivery ID (X-Delivery-Id) and the recipient
+//   - the Message-ID, the recipient and a hash of the content
+// A delivery matching either key gets the copy stored the first time.
+export class IngestionDeduplicator {
+  constructor(options = {}) {
+    this.windowHours = options.windowHours ||
+      parseInt(process.env.INGESTION_DEDUP_WINDOW_HOURS || DEFAULT_WINDOW_HOURS);
+  }
+
+  // Returns recipient -> [key hashes]
+  keysFor(emailData, recipients, { relayId = null, deliveryId = null } = {}) {
+    const hash = emailData.messageId ? contentHash(emailData) : null;
+    const keys = new Map();
+
+    for (const recipient of recipients) {
+      const recipientKeys = [];
+      if (relayId && deliveryId) {
+        recipientKeys.push(sha256(`delivery\n${relayId}\n${deliveryId}\n${recipient}`));
+      }
+      if (hash) {
+        recipientKeys.push(sha256(`message\n${emailData.messageId}\n${recipient}\n${hash}`));
+      }
+      keys.set(recipient, recipientKeys);
+    }
+
+    return keys;
+  }
+
+  // Copies already stored under any of the keys, within the window.
+  // Returns recipient -> { emailId, tempEmailId }.
+  async findOriginals(keys) {
+    const originals = new Map();
+    const allKeys = [...keys.values()].flat();
+    if (allKeys.length === 0) return originals;
+
+    const [rows] = await pool.query(`
+      SELECT key_hash, email_id, temp_email_id
+      FROM ingestion_keys
+      WHERE key_hash IN (?) AND created_at > DATE_SUB(NOW(), INTERVAL ? HOUR)
+    `, [allKeys, this.windowHours]);
+
+    for (const [recipient, recipientKeys] of keys) {
+      const row = rows.find(r => recipientKeys.includes(r.key_hash));
+      if (row) {
+        originals.set(recipient, { emailId: row.email_id, tempEmailId: row.temp_email_id });
+      }
+    }
+
+    return originals;
+  }
+
+  // Runs inside the delivery transaction. A concurrent attempt holding the
+  // same key makes this wait for it and then fail with DuplicateDeliveryError.
+  async remember(connection, recipientKeys, { emailId, tempEmailId }) {
+    if (recipientKeys.length === 0) return;
+
+    // Keys from outside the window no longer count
+    await connection.query(`
+      DELETE FROM ingestion_keys
+      WHERE key_hash IN (?) AND created_at <= DATE_SUB(NOW(), INTERVAL ? HOUR)
+    `, [recipientKeys, this.windowHours]);
+
+    try {
+      await connection.query(
+        'INSERT INTO ingestion_keys (key_hash, email_id, temp_email_id) VALUES ?',
+        [recipientKeys.map(key => [key, emailId, tempEmailId])]
+      );
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new DuplicateDeliveryError('Delivery was already stored');
+      }
+      throw error;
+    }
+  }
+
+  async purgeExpired() {
+    const [result] = await pool.query(
+      'DELETE FROM ingestion_keys WHERE created_at <= DATE_SUB(NOW(), INTERVAL ? HOUR)',
+      [this.windowHours]
+    );
+    return result.affectedRows;
+  }
+}
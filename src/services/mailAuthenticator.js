@@ -0,0 +1,61 @@
+import os from 'os';
+import { authenticate } from 'mailauth';
+import { createDnsResolver } from '../utils/dnsResolver.js';
+
+// Evaluates SPF, DKIM and DMARC for received messages. Verdicts use the
+// RFC 8601 result names (pass, fail, softfail, neutral, none, temperror,
+// permerror) and are stored on every copy of the message.
+export class MailAuthenticator {
+  constructor(options = {}) {
+    this.resolver = options.resolver || createDnsResolver();
+    this.mta = options.mta || process.env.INBOUND_SMTP_HOSTNAME || os.hostname();
+  }
+
+  // Returns null when the original source is not available (pre-parsed
+  // JSON webhooks), as signatures cannot be checked without it
+  async authenticate(emailData) {
+    if (!emailData.rawSource) return null;
+
+    const { ip, helo, mailFrom } = emailData.client || {};
+
+    try {
+      const result = await authenticate(emailData.rawSource, {
+        ip,
+        helo,
+        sender: mailFrom,
+        // Relays that do not report the connecting client: use the
+        // Received header their MTA added
+        trustReceived: !ip,
+        mta: this.mta,
+        resolver: this.resolver,
+        disableBimi: true
+      });
+
+      return {
+        spf: result.spf?.status?.result || 'none',
+        dkim: this.summarizeDkim(result.dkim?.results),
+        dmarc: result.dmarc?.status?.result || 'none',
+        details: this.extractAuthResults(result.headers)
+      };
+    } catch (error) {
+      console.error('Failed to authenticate message:', error);
+      return { spf: 'temperror', dkim: 'temperror', dmarc: 'temperror', details: null };
+    }
+  }
+
+  // One verdict for all signatures: any passing signature is enough
+  summarizeDkim(results = []) {
+    const verdicts = results.map(row => row.status?.result).filter(Boolean);
+    if (verdicts.includes('pass')) return 'pass';
+    return verdicts[0] || 'none';
+  }
+
+  // Authentication-Results header value, unfolded
+  extractAuthResults(headers = '') {
+    const header = headers
+      .replace(/\r?\n[ \t]+/g, ' ')
+      .split(/\r?\n/)
+      .find(line => /^Authentication-Results:/i.test(line));
+    return header ? header.replace(/^Authentication-Results:\s*/i, '').trim() : null;
+  }
+}
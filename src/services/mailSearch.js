@@ -0,0 +1,183 @@
+import { pool } from '../db/init.js';
+import { htmlToText } from '../utils/emailParser.js';
+import { parseSearchQuery, toBooleanQuery } from '../utils/searchQuery.js';
+
+// Indexed text per message; longer bodies are cut
+const MAX_INDEXED_BODY_LENGTH = 100000;
+const SNIPPET_LENGTH = 160;
+export const MAX_SEARCH_LIMIT = 50;
+
+export class SearchQueryError extends Error {}
+
+// Body text as indexed: the text part, or the visible text of the HTML
+export function searchableBody(bodyText, bodyHtml) {
+  return (bodyText || htmlToText(bodyHtml)).slice(0, MAX_INDEXED_BODY_LENGTH);
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export function escapeLike(value) {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Wrap matches of the search words in <mark>; the text is HTML-escaped
+export function highlight(text, words) {
+  const escaped = escapeHtml(text);
+  if (words.length === 0) return escaped;
+
+  const pattern = new RegExp(`(${words.map(word => escapeRegExp(escapeHtml(word))).join('|')})`, 'gi');
+  return escaped.replace(pattern, '<mark>$1</mark>');
+}
+
+// Part of the body around the first match, highlighted
+export function snippet(body, words, length = SNIPPET_LENGTH) {
+  const text = String(body || '').replace(/\s+/g, ' ').trim();
+  const lower = text.toLowerCase();
+
+  const positions = words
+    .map(word => lower.indexOf(word.toLowerCase()))
+    .filter(position => position >= 0);
+  const first = positions.length > 0 ? Math.min(...positions) : 0;
+
+  const start = Math.max(0, first - Math.floor(length / 3));
+  const end = Math.min(text.length, start + length);
+
+  return `${start > 0 ? '…' : ''}${highlight(text.slice(start, end), words)}${end < text.length ? '…' : ''}`;
+}
+
+// Full-text search over a user's received mail. Received emails are
+// partitioned, which rules out FULLTEXT indexes on them, so the searchable
+// text of every message is copied into received_email_search when it is
+// stored.
+export class MailSearch {
+  // Runs inside the delivery transaction
+  async indexEmail(connection, { emailId, inbox, emailData, bodyHtml, hasAttachment }) {
+    await connection.query(`
+      INSERT INTO received_email_search (
+        email_id, temp_email_id, to_address, from_email, from_name, subject, body, has_attachment, received_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())
+    `, [
+      emailId,
+      inbox.id,
+      inbox.email,
+      emailData.sender,
+      emailData.senderName,
+      emailData.subject,
+      searchableBody(emailData.body_text, bodyHtml),
+      hasAttachment
+    ]);
+  }
+
+  // Search the user's inboxes. Returns { results, total, limit } or
+  // throws SearchQueryError for queries that cannot be run.
+  async search(userId, query, { page = 1, limit = 20 } = {}) {
+    const parsed = parseSearchQuery(query);
+    if (parsed.errors.length > 0) {
+      throw new SearchQueryError(parsed.errors.join('; '));
+    }
+
+    const included = toBooleanQuery(parsed.terms.filter(term => !term.exclude));
+    const excluded = toBooleanQuery(parsed.terms.filter(term => term.exclude), { any: true });
+
+    let filter = 'WHERE te.user_id = ?';
+    const filterParams = [userId];
+
+    if (included) {
+      filter += ' AND MATCH(s.subject, s.from_email, s.from_name, s.body) AGAINST (? IN BOOLEAN MODE)';
+      filterParams.push(included);
+    }
+    if (excluded) {
+      filter += ' AND NOT MATCH(s.subject, s.from_email, s.from_name, s.body) AGAINST (? IN BOOLEAN MODE)';
+      filterParams.push(excluded);
+    }
+
+    for (const from of parsed.from) {
+      filter += ' AND (s.from_email LIKE ? OR s.from_name LIKE ?)';
+      filterParams.push(`%${escapeLike(from)}%`, `%${escapeLike(from)}%`);
+    }
+    for (const to of parsed.to) {
+      filter += ' AND s.to_address LIKE ?';
+      filterParams.push(`%${escapeLike(to)}%`);
+    }
+    for (const subject of parsed.subject) {
+      filter += ' AND s.subject LIKE ?';
+      filterParams.push(`%${escapeLike(subject)}%`);
+    }
+    // in: takes an inbox id, a full address or a local part
+    for (const inbox of parsed.in) {
+      filter += ' AND (te.id = ? OR te.email = ? OR te.email LIKE ?)';
+      filterParams.push(inbox, inbox.toLowerCase(), `${escapeLike(inbox.toLowerCase())}@%`);
+    }
+
+    if (parsed.hasAttachment) {
+      filter += ' AND s.has_attachment = 1';
+    }
+    if (parsed.after) {
+      filter += ' AND s.received_at >= ?';
+      filterParams.push(parsed.after);
+    }
+    if (parsed.before) {
+      filter += ' AND s.received_at < ?';
+      filterParams.push(parsed.before);
+    }
+
+    // Rows of deleted emails linger until the cleanup job; the join with
+    // received_emails leaves them out
+    const from = `
+      FROM received_email_search s
+      JOIN received_emails re ON re.id = s.email_id
+      JOIN temp_emails te ON s.temp_email_id = te.id
+    `;
+
+    const [countResult] = await pool.query(`SELECT COUNT(*) as total ${from} ${filter}`, filterParams);
+
+    const relevance = included ?
+      'MATCH(s.subject, s.from_email, s.from_name, s.body) AGAINST (? IN BOOLEAN MODE)' :
+      '0';
+    const limited = Math.min(Math.max(limit, 1), MAX_SEARCH_LIMIT);
+
+    const [rows] = await pool.query(`
+      SELECT s.email_id, s.temp_email_id, te.email as temp_email, s.from_email, s.from_name,
+        s.subject, s.body, s.has_attachment, s.received_at, ${relevance} as relevance
+      ${from}
+      ${filter}
+      ORDER BY relevance DESC, s.received_at DESC
+      LIMIT ? OFFSET ?
+    `, [...(included ? [included] : []), ...filterParams, limited, (page - 1) * limited]);
+
+    // Words to highlight: the free terms plus subject: values
+    const words = [
+      ...parsed.terms.filter(term => !term.exclude).map(term => term.text),
+      ...parsed.subject
+    ].filter(Boolean);
+
+    return {
+      total: countResult[0].total,
+      limit: limited,
+      results: rows.map(row => ({
+        id: row.email_id,
+        temp_email_id: row.temp_email_id,
+        temp_email: row.temp_email,
+        from_email: row.from_email,
+        from_name: row.from_name,
+        subject: row.subject,
+        has_attachment: Boolean(row.has_attachment),
+        received_at: row.received_at,
+        highlights: {
+          subject: highlight(row.subject || '', words),
+          snippet: snippet(row.body, words)
+        }
+      }))
+    };
+  }
+}
@@ -0,0 +1,44 @@
+import { v4 as uuidv4 } from 'uuid';
+
+// Groups received messages into conversations per inbox, from their
+// Message-ID, In-Reply-To and References headers (RFC 5322 3.6.4).
+// Messages without a thread_id (stored before threading existed) are
+// conversations of their own.
+export class MessageThreader {
+  // Thread for a message about to be stored in an inbox. Runs inside the
+  // delivery transaction. A message joins the thread of any message it
+  // refers to, and of replies to it that arrived first; when those belong
+  // to different threads, the threads are merged.
+  async assignThread(connection, inboxId, { messageId, inReplyTo, references = [] }) {
+    const related = [...new Set([...references, inReplyTo, messageId].filter(Boolean))];
+    const threadIds = [];
+
+    if (related.length > 0) {
+      const [ancestors] = await connection.query(`
+        SELECT DISTINCT thread_id FROM received_emails
+        WHERE temp_email_id = ? AND message_id IN (?) AND thread_id IS NOT NULL
+      `, [inboxId, related]);
+      threadIds.push(...ancestors.map(row => row.thread_id));
+    }
+
+    if (messageId) {
+      const [replies] = await connection.query(`
+        SELECT DISTINCT thread_id FROM received_emails
+        WHERE temp_email_id = ? AND in_reply_to = ? AND thread_id IS NOT NULL
+      `, [inboxId, messageId]);
+      threadIds.push(...replies.map(row => row.thread_id));
+    }
+
+    const [threadId, ...others] = [...new Set(threadIds)];
+    if (!threadId) return uuidv4();
+
+    if (others.length > 0) {
+      await connection.query(
+        'UPDATE received_emails SET thread_id = ? WHERE temp_email_id = ? AND thread_id IN (?)',
+        [threadId, inboxId, others]
+      );
+    }
+
+    return threadId;
+  }
+}
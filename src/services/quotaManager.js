@@ -0,0 +1,258 @@
+import { pool } from '../db/init.js';
+import { AttachmentStore } from './attachmentStore.js';
+import inboxEvents, { INBOX_EVENT } from './inboxEvents.js';
+
+// What happens to new mail for a full inbox
+export const QUOTA_POLICIES = ['reject', 'evict'];
+
+// Why a message does not fit: larger than a limit allows, or the inbox
+// (or its owner) is full and the policy is "reject"
+export const QUOTA_REJECTION = {
+  MESSAGE_TOO_LARGE: 'size',
+  FULL: 'full'
+};
+
+// Limit names, as in the API, and their user_quotas columns
+export const QUOTA_LIMITS = {
+  maxMessageBytes: 'max_message_bytes',
+  inboxMaxBytes: 'inbox_max_bytes',
+  inboxMaxMessages: 'inbox_max_messages',
+  userMaxBytes: 'user_max_bytes',
+  userMaxMessages: 'user_max_messages'
+};
+
+// Oldest messages looked at per eviction
+const EVICTION_BATCH_SIZE = 500;
+
+// Rows stored with each message, keyed by email_id
+const MESSAGE_TABLES = ['received_email_sources', 'received_email_headers', 'received_email_bounces', 'received_email_search'];
+
+// Limits from QUOTA_* variables; 0 means unlimited
+function defaultLimits() {
+  const env = (name, fallback) => parseInt(process.env[name] ?? fallback);
+
+  return {
+    maxMessageBytes: env('QUOTA_MAX_MESSAGE_BYTES', 25 * 1024 * 1024),
+    inboxMaxBytes: env('QUOTA_INBOX_MAX_BYTES', 100 * 1024 * 1024),
+    inboxMaxMessages: env('QUOTA_INBOX_MAX_MESSAGES', 1000),
+    userMaxBytes: env('QUOTA_USER_MAX_BYTES', 500 * 1024 * 1024),
+    userMaxMessages: env('QUOTA_USER_MAX_MESSAGES', 10000),
+    policy: QUOTA_POLICIES.includes(process.env.QUOTA_POLICY) ? process.env.QUOTA_POLICY : 'evict'
+  };
+}
+
+function exceeds(value, limit) {
+  return limit > 0 && value > limit;
+}
+
+// Size a message counts for: its raw source, or the bodies and
+// attachments when it arrived without one
+export function messageSize(emailData) {
+  if (emailData.rawSource) return emailData.rawSource.length;
+
+  return Buffer.byteLength(emailData.body_html || '') +
+    Buffer.byteLength(emailData.body_text || '') +
+    (emailData.attachments || []).reduce((total, attachment) => total + (attachment.size || 0), 0);
+}
+
+// Storage limits for inbound mail. Every inbox and every user has a
+// maximum message size, total stored bytes and message count; the QUOTA_*
+// defaults can be overridden per user (user_quotas). When an inbox is full
+// its policy (temp_emails.quota_policy, else the user's or the default)
+// either rejects new mail or evicts the oldest messages to make room.
+export class QuotaManager {
+  constructor(options = {}) {
+    this.defaults = options.defaults || defaultLimits();
+    this.attachmentStore = options.attachmentStore || new AttachmentStore();
+  }
+
+  async getLimits(userId) {
+    if (!userId) return { ...this.defaults };
+
+    const [quotas] = await pool.query('SELECT * FROM user_quotas WHERE user_id = ?', [userId]);
+    const limits = { ...this.defaults };
+    if (quotas.length === 0) return limits;
+
+    for (const [name, column] of Object.entries(QUOTA_LIMITS)) {
+      if (quotas[0][column] !== null) limits[name] = Number(quotas[0][column]);
+    }
+    if (quotas[0].policy) limits.policy = quotas[0].policy;
+
+    return limits;
+  }
+
+  // Stored messages and bytes of the inboxes matching scope
+  async getUsage(connection, scope, params) {
+    const [usage] = await connection.query(`
+      SELECT COUNT(re.id) as messages, COALESCE(SUM(re.size_bytes), 0) as bytes
+      FROM received_emails re
+      JOIN temp_emails te ON re.temp_email_id = te.id
+      WHERE ${scope}
+    `, params);
+
+    return { messages: Number(usage[0].messages), bytes: Number(usage[0].bytes) };
+  }
+
+  // Whether a message of this size can be stored at all. Returns null or
+  // QUOTA_REJECTION.MESSAGE_TOO_LARGE; whether the inbox has room is
+  // decided by reserve() in the delivery transaction.
+  async check(userId, size) {
+    const limits = await this.getLimits(userId);
+
+    if (exceeds(size, limits.maxMessageBytes) ||
+        exceeds(size, limits.inboxMaxBytes) ||
+        (userId && exceeds(size, limits.userMaxBytes))) {
+      return QUOTA_REJECTION.MESSAGE_TOO_LARGE;
+    }
+
+    return null;
+  }
+
+  // Runs inside the delivery transaction, before a copy is stored in the
+  // inbox (null for one about to be created on delivery). The user row,
+  // then the inbox row, is locked so concurrent deliveries to the same
+  // inbox or to any inbox of the user count one after the other. With the
+  // "evict" policy the oldest messages of the inbox, then of the user's
+  // inboxes, are deleted until the new one fits; with "reject" a full
+  // inbox refuses it. Returns null when the message can be stored,
+  // otherwise QUOTA_REJECTION.FULL.
+  async reserve(connection, inbox, userId, size) {
+    const limits = await this.getLimits(userId);
+
+    if (userId) {
+      await connection.query('SELECT id FROM users WHERE id = ? FOR UPDATE', [userId]);
+    }
+    if (inbox) {
+      await connection.query('SELECT id FROM temp_emails WHERE id = ? FOR UPDATE', [inbox.id]);
+    }
+
+    if ((inbox?.quota_policy || limits.policy) === 'evict') {
+      let evicted = 0;
+      if (inbox) {
+        evicted += await this.evictOldest(
+          connection, 're.temp_email_id = ?', [inbox.id], size, limits.inboxMaxBytes, limits.inboxMaxMessages
+        );
+      }
+      if (userId) {
+        evicted += await this.evictOldest(
+          connection, 'te.user_id = ?', [userId], size, limits.userMaxBytes, limits.userMaxMessages
+        );
+      }
+
+      if (evicted > 0) {
+        console.log(`Evicted ${evicted} old message(s) to make room in ${inbox?.email || `the inboxes of user ${userId}`}`);
+      }
+      return null;
+    }
+
+    if (inbox) {
+      const usage = await this.getUsage(connection, 're.temp_email_id = ?', [inbox.id]);
+      if (exceeds(usage.bytes + size, limits.inboxMaxBytes) ||
+          exceeds(usage.messages + 1, limits.inboxMaxMessages)) {
+        return QUOTA_REJECTION.FULL;
+      }
+    }
+
+    if (userId) {
+      const usage = await this.getUsage(connection, 'te.user_id = ?', [userId]);
+      if (exceeds(usage.bytes + size, limits.userMaxBytes) ||
+          exceeds(usage.messages + 1, limits.userMaxMessages)) {
+        return QUOTA_REJECTION.FULL;
+      }
+    }
+
+    return null;
+  }
+
+  async evictOldest(connection, scope, params, size, maxBytes, maxMessages) {
+    const usage = await this.getUsage(connection, scope, params);
+    let bytesOver = maxBytes > 0 ? usage.bytes + size - maxBytes : 0;
+    let messagesOver = maxMessages > 0 ? usage.messages + 1 - maxMessages : 0;
+    if (bytesOver <= 0 && messagesOver <= 0) return 0;
+
+    const [oldest] = await connection.query(`
+      SELECT re.id, re.temp_email_id, re.size_bytes
+      FROM received_emails re
+      JOIN temp_emails te ON re.temp_email_id = te.id
+      WHERE ${scope}
+      ORDER BY re.received_at ASC
+      LIMIT ?
+    `, [...params, EVICTION_BATCH_SIZE]);
+
+    const evicted = [];
+    // inbox id -> evicted message ids, for the inboxes' deletion events
+    const evictedByInbox = new Map();
+    for (const email of oldest) {
+      if (bytesOver <= 0 && messagesOver <= 0) break;
+      evicted.push(email.id);
+      if (!evictedByInbox.has(email.temp_email_id)) evictedByInbox.set(email.temp_email_id, []);
+      evictedByInbox.get(email.temp_email_id).push(email.id);
+      bytesOver -= Number(email.size_bytes);
+      messagesOver -= 1;
+    }
+
+    if (evicted.length > 0) {
+      await this.deleteMessages(connection, evicted);
+      for (const [inboxId, ids] of evictedByInbox) {
+        await inboxEvents.publish(connection, inboxId, INBOX_EVENT.DELETED, { ids, reason: 'quota' });
+      }
+    }
+
+    return evicted.length;
+  }
+
+  // Evicted messages go with their attachment references and every row
+  // stored for them, so the space is free when the transaction commits
+  async deleteMessages(connection, emailIds) {
+    await this.attachmentStore.removeAttachments(connection, emailIds);
+    for (const table of MESSAGE_TABLES) {
+      await connection.query(`DELETE FROM ${table} WHERE email_id IN (?)`, [emailIds]);
+    }
+    await connection.query('DELETE FROM received_emails WHERE id IN (?)', [emailIds]);
+  }
+
+  // The user's limits and current consumption, in total and per inbox
+  async getUsageReport(userId) {
+    const limits = await this.getLimits(userId);
+
+    const [inboxes] = await pool.query(`
+      SELECT te.id, te.email, te.quota_policy, te.expires_at,
+        COUNT(re.id) as messages, COALESCE(SUM(re.size_bytes), 0) as bytes
+      FROM temp_emails te
+      LEFT JOIN received_emails re ON re.temp_email_id = te.id
+      WHERE te.user_id = ?
+      GROUP BY te.id, te.email, te.quota_policy, te.expires_at
+      ORDER BY bytes DESC
+    `, [userId]);
+
+    const usage = { messages: 0, bytes: 0 };
+    const inboxUsage = inboxes.map(inbox => {
+      usage.messages += Number(inbox.messages);
+      usage.bytes += Number(inbox.bytes);
+      return {
+        id: inbox.id,
+        email: inbox.email,
+        expires_at: inbox.expires_at,
+        policy: inbox.quota_policy || limits.policy,
+        messages: Number(inbox.messages),
+        bytes: Number(inbox.bytes)
+      };
+    });
+
+    return { limits, usage, inboxes: inboxUsage };
+  }
+
+  // Admin overrides; null values fall back to the defaults
+  async setUserQuota(userId, limits) {
+    const values = Object.keys(QUOTA_LIMITS).map(name => limits[name] ?? null);
+
+    await pool.query(`
+      INSERT INTO user_quotas (
+        user_id, ${Object.values(QUOTA_LIMITS).join(', ')}, policy
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        ${Object.values(QUOTA_LIMITS).map(column => `${column} = VALUES(${column})`).join(', ')},
+        policy = VALUES(policy)
+    `, [userId, ...values, limits.policy ?? null]);
+  }
+}
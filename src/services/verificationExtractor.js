@@ -0,0 +1,176 @@
+import fs from 'fs';
+import { decodeEntities, htmlToText } from '../utils/emailParser.js';
+
+// Words that introduce a one-time code or sit next to a confirmation link
+const DEFAULT_CODE_KEYWORDS = [
+  'code', 'otp', 'one-time', 'one time', 'passcode', 'password', 'pin', 'verification',
+  'verify', 'security', 'confirm', 'login', 'sign in', 'token', 'kod', 'código', 'codice'
+];
+const DEFAULT_LINK_KEYWORDS = [
+  'verify', 'verification', 'confirm', 'activate', 'activation', 'magic', 'sign in', 'signin',
+  'log in', 'login', 'validate', 'reset', 'token', 'auth'
+];
+// Links that are never the one the user is asked to click, by words in
+// the URL or link text and by domain
+const DEFAULT_IGNORED_LINKS = [
+  'unsubscribe', 'optout', 'opt-out', 'privacy', 'terms', 'preferences', 'help', 'support'
+];
+const DEFAULT_IGNORED_LINK_DOMAINS = [
+  'facebook.com', 'twitter.com', 'x.com', 'linkedin.com', 'instagram.com', 'youtube.com'
+];
+
+// Default rules. VERIFICATION_RULES may point to a JSON file whose keys
+// override these, with per sender domain tuning under "domains":
+//   { "domains": { "example.com": { "codePattern": "Your code: (\\d{6})",
+//     "linkPattern": "/activate/", "disabled": false } } }
+// codePattern's first group is the code; linkPattern must match the link.
+// A domain also applies to its subdomains.
+export const DEFAULT_RULES = {
+  codeMinLength: 4,
+  codeMaxLength: 8,
+  codeKeywords: DEFAULT_CODE_KEYWORDS,
+  linkKeywords: DEFAULT_LINK_KEYWORDS,
+  ignoredLinks: DEFAULT_IGNORED_LINKS,
+  ignoredLinkDomains: DEFAULT_IGNORED_LINK_DOMAINS,
+  // Characters searched before a candidate code for a keyword
+  keywordWindow: 80,
+  domains: {}
+};
+
+const MAX_CODE_LENGTH = 32;
+
+// Candidate codes: digits, possibly in groups ("123 456", "12-34-56"), or
+// upper-case letters mixed with digits ("A7K2Q9", "ABC-123")
+const CODE_TOKEN = new RegExp([
+  '(?<![\\w.,/@#$€£-])(',
+  '\\d{2,4}(?:[ -]\\d{2,4}){1,3}',
+  '|(?=[A-Z0-9-]*\\d)[A-Z0-9]{3,4}-[A-Z0-9]{3,4}',
+  '|\\d+',
+  '|(?=[A-Z0-9]*\\d)(?=[A-Z0-9]*[A-Z])[A-Z0-9]+',
+  ')(?![\\w/@%-]|[.,]\\d)'
+].join(''), 'g');
+const MAX_LINK_LENGTH = 2048;
+
+function loadRules() {
+  if (!process.env.VERIFICATION_RULES) return DEFAULT_RULES;
+  const overrides = JSON.parse(fs.readFileSync(process.env.VERIFICATION_RULES, 'utf8'));
+  return { ...DEFAULT_RULES, ...overrides };
+}
+
+// Detects one-time codes and confirmation (or magic sign-in) links in
+// received messages, from subject and body heuristics that can be tuned
+// per sender domain. Results are stored on the message at ingestion.
+export class VerificationExtractor {
+  constructor(options = {}) {
+    this.rules = options.rules || loadRules();
+  }
+
+  // Default rules merged with those of the sender's domain, if any
+  rulesFor(sender) {
+    const domain = String(sender || '').split('@')[1]?.toLowerCase() || '';
+    const match = Object.keys(this.rules.domains || {})
+      .filter(candidate => domain === candidate.toLowerCase() || domain.endsWith(`.${candidate.toLowerCase()}`))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return match ? { ...this.rules, ...this.rules.domains[match] } : this.rules;
+  }
+
+  // Returns { code, link }, either of which may be null
+  extract(emailData) {
+    const rules = this.rulesFor(emailData.sender);
+    if (rules.disabled) {
+      return { code: null, link: null };
+    }
+
+    const subject = emailData.subject || '';
+    const text = emailData.body_text || htmlToText(emailData.body_html);
+
+    return {
+      code: this.findCode(subject, text, rules),
+      link: this.findLink(emailData.body_html, text, rules)
+    };
+  }
+
+  findCode(subject, text, rules) {
+    if (rules.codePattern) {
+      const pattern = new RegExp(rules.codePattern, 'i');
+      const match = subject.match(pattern) || text.match(pattern);
+      return match ? (match[1] || match[0]).trim().slice(0, MAX_CODE_LENGTH) : null;
+    }
+
+    const hasKeyword = value => rules.codeKeywords.some(keyword => value.includes(keyword));
+    const candidates = [];
+
+    const collect = (source, bonus) => {
+      for (const match of source.matchAll(CODE_TOKEN)) {
+        const code = match[1].replace(/[ -]/g, '');
+        if (code.length < rules.codeMinLength || code.length > rules.codeMaxLength) continue;
+
+        const before = source.slice(Math.max(0, match.index - rules.keywordWindow), match.index).toLowerCase();
+        // Numbers are only codes when introduced as one, or in a subject
+        // that mentions a code. Years ("© 2024") rank last.
+        const keyword = hasKeyword(before);
+        if (!keyword && bonus === 0) continue;
+        const year = /^(19|20)\d\d$/.test(code);
+        if (!keyword && year) continue;
+
+        const score = (keyword ? 3 : 0) + bonus + (/^\d+$/.test(code) ? 1 : 0) - (year ? 3 : 0);
+        candidates.push({ code, score, index: match.index });
+      }
+    };
+
+    collect(subject, hasKeyword(subject.toLowerCase()) ? 2 : 0);
+    collect(text, 0);
+
+    if (candidates.length === 0) return null;
+
+    // Highest score, then the earliest occurrence
+    candidates.sort((a, b) => b.score - a.score || a.index - b.index);
+    return candidates[0].code;
+  }
+
+  findLink(html, text, rules) {
+    const links = [];
+
+    for (const match of String(html || '').matchAll(/<a\b[^>]*\bhref\s*=\s*"([^"]+)"[^>]*>([\s\S]*?)<\/a>/gi)) {
+      links.push({ url: decodeEntities(match[1]), label: htmlToText(match[2]).trim().toLowerCase() });
+    }
+    // Plain-text links are judged by the text just before them
+    for (const match of String(text || '').matchAll(/https?:\/\/[^\s<>"')\]]+/gi)) {
+      const before = text.slice(Math.max(0, match.index - rules.keywordWindow), match.index).toLowerCase();
+      links.push({ url: match[0], context: before.split('\n').pop() });
+    }
+
+    const linkPattern = rules.linkPattern ? new RegExp(rules.linkPattern, 'i') : null;
+    let best = null;
+
+    for (const { url, label = '', context = '' } of links) {
+      if (url.length > MAX_LINK_LENGTH) continue;
+
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch (error) {
+        continue;
+      }
+      if (!['http:', 'https:'].includes(parsed.protocol)) continue;
+
+      const hostname = parsed.hostname.toLowerCase();
+      const path = `${parsed.pathname}${parsed.search}`.toLowerCase();
+      if (rules.ignoredLinkDomains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`))) continue;
+      if (rules.ignoredLinks.some(word => path.includes(word) || label.includes(word))) continue;
+
+      const describedBy = `${label} ${context}`;
+      const score = linkPattern ?
+        (linkPattern.test(url) ? 1 : 0) :
+        (rules.linkKeywords.some(keyword => path.includes(keyword.replace(' ', ''))) ? 2 : 0) +
+          (rules.linkKeywords.some(keyword => describedBy.includes(keyword)) ? 3 : 0);
+
+      if (score > 0 && (!best || score > best.score)) {
+        best = { url, score };
+      }
+    }
+
+    return best ? best.url : null;
+  }
+}
@@ -0,0 +1,493 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import axios from 'axios';
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+import { isPrivateAddress } from './imageProxy.js';
+
+// Events a webhook can subscribe to. Bounces (delivery status
+// notifications) are reported as email.bounced, not email.received.
+export const WEBHOOK_EVENTS = {
+  EMAIL_RECEIVED: 'email.received',
+  EMAIL_BOUNCED: 'email.bounced',
+  INBOX_EXPIRED: 'inbox.expired'
+};
+
+// Sent by the test endpoint; never retried and not counted as a failure
+export const PING_EVENT = 'ping';
+
+export const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+const DEFAULT_POLL_INTERVAL_MS = 5000;
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_DISABLE_AFTER_FAILURES = 15;
+const DEFAULT_RETENTION_DAYS = 7;
+
+// Cap on a whole delivery request, slow responses included
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_RESPONSE_BYTES = 64 * 1024;
+// Response bodies kept in the delivery log
+const MAX_LOGGED_RESPONSE_LENGTH = 2048;
+
+// Retries wait 30s, 1m, 2m, ... up to 6 hours
+const RETRY_BASE_SECONDS = 30;
+const RETRY_MAX_SECONDS = 6 * 60 * 60;
+
+// Deliveries claimed together are sent concurrently, so one slow receiver
+// holds up the batch for at most REQUEST_TIMEOUT_MS
+const CLAIM_BATCH_SIZE = 20;
+// A claimed delivery no instance finished (crash, restart) is due again
+// after this; well above REQUEST_TIMEOUT_MS, so a delivery still being
+// sent is not claimed a second time
+const CLAIM_LEASE_SECONDS = 60;
+
+// Expired inboxes are looked for this often, back to this far
+const EXPIRY_SWEEP_INTERVAL_MS = 60 * 1000;
+const EXPIRY_LOOKBACK_HOURS = 24;
+const EXPIRY_BATCH_SIZE = 100;
+
+export class WebhookUrlError extends Error {}
+
+// Signature of a delivery: HMAC-SHA256 of "<timestamp>.<nonce>.<body>",
+// the same scheme relays use for POST /webhook/email/incoming
+export function signPayload(secret, timestamp, nonce, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${nonce}.${body}`).digest('hex')}`;
+}
+
+// Delivers inbox events to the webhooks users register (user_webhooks).
+// Deliveries are rows in webhook_deliveries, queued in the transaction
+// that makes the change, so they double as the delivery log. Every API
+// instance polls for due deliveries; failed ones are retried with
+// exponential backoff up to WEBHOOK_MAX_ATTEMPTS times, and a webhook is
+// disabled after WEBHOOK_DISABLE_AFTER_FAILURES failed attempts in a row.
+class WebhookDispatcher {
+  constructor(options = {}) {
+    this.pollInterval = options.pollInterval ||
+      parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS || DEFAULT_POLL_INTERVAL_MS);
+    this.maxAttempts = options.maxAttempts ||
+      parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || DEFAULT_MAX_ATTEMPTS);
+    this.disableAfterFailures = options.disableAfterFailures ||
+      parseInt(process.env.WEBHOOK_DISABLE_AFTER_FAILURES || DEFAULT_DISABLE_AFTER_FAILURES);
+    this.retentionDays = options.retentionDays ||
+      parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS || DEFAULT_RETENTION_DAYS);
+    // Only for tests against local receivers
+    this.allowPrivateAddresses = options.allowPrivateAddresses ??
+      process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+    const lookup = (hostname, lookupOptions, callback) => this.lookup(hostname, lookupOptions, callback);
+    this.httpAgent = new http.Agent({ lookup });
+    this.httpsAgent = new https.Agent({ lookup });
+
+    this.timer = null;
+    this.polling = null;
+    this.pollAgain = false;
+    this.lastExpirySweep = 0;
+  }
+
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+  }
+
+  // Throws WebhookUrlError for URLs deliveries must not go to
+  assertDeliverable(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new WebhookUrlError('Invalid webhook URL');
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new WebhookUrlError('Webhook URL must use http or https');
+    }
+
+    // IP literals skip DNS lookups, so check them here
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (!this.allowPrivateAddresses &&
+        (hostname === 'localhost' || (net.isIP(hostname) && isPrivateAddress(hostname)))) {
+      throw new WebhookUrlError('Webhook URL must not point to a private address');
+    }
+  }
+
+  // dns.lookup that refuses private and loopback addresses
+  lookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) return callback(error);
+
+      const addresses = Array.isArray(address) ? address : [{ address, family }];
+      const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+      if (blocked && !this.allowPrivateAddresses) {
+        return callback(new WebhookUrlError(`Refusing to connect to ${blocked.address}`));
+      }
+
+      callback(null, address, family);
+    });
+  }
+
+  // Runs inside the transaction that makes the change: queue the event
+  // for the active webhooks of the inbox (or of its custom domain) that
+  // subscribe to it. Returns the number of queued deliveries.
+  async enqueue(connection, inboxId, type, data) {
+    const [webhooks] = await connection.query(`
+      SELECT uw.id
+      FROM user_webhooks uw
+      JOIN temp_emails te ON te.id = ?
+      WHERE uw.is_active = 1
+        AND uw.user_id = te.user_id
+        AND (uw.temp_email_id = te.id OR uw.domain_id = te.domain_id)
+        AND FIND_IN_SET(?, uw.events)
+    `, [inboxId, type]);
+
+    if (webhooks.length === 0) return 0;
+
+    const event = { id: uuidv4(), type, created_at: new Date().toISOString(), data };
+    const payload = JSON.stringify(event);
+
+    await connection.query(
+      'INSERT INTO webhook_deliveries (id, webhook_id, event_id, event_type, payload) VALUES ?',
+      [webhooks.map(webhook => [uuidv4(), webhook.id, event.id, type, payload])]
+    );
+
+    return webhooks.length;
+  }
+
+  // Queue the same event again (same event id, so receivers can tell it
+  // apart from a new one). Returns the new delivery's id.
+  async redeliver(delivery) {
+    const id = uuidv4();
+    await pool.query(`
+      INSERT INTO webhook_deliveries (id, webhook_id, event_id, event_type, payload, redelivery_of)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [id, delivery.webhook_id, delivery.event_id, delivery.event_type, delivery.payload, delivery.id]);
+
+    this.wake();
+    return id;
+  }
+
+  // Send a ping event right away, for checking a receiver. Returns the
+  // finished delivery.
+  async sendTest(webhook) {
+    const event = {
+      id: uuidv4(),
+      type: PING_EVENT,
+      created_at: new Date().toISOString(),
+      data: { webhook_id: webhook.id }
+    };
+    const id = uuidv4();
+    const claimToken = uuidv4();
+
+    // Not due before the attempt below, so no poller picks it up
+    await pool.query(`
+      INSERT INTO webhook_deliveries (id, webhook_id, event_id, event_type, payload, claim_token, next_attempt_at)
+      VALUES (?, ?, ?, ?, ?, ?, NULL)
+    `, [id, webhook.id, event.id, PING_EVENT, JSON.stringify(event), claimToken]);
+
+    await this.attempt(id, claimToken);
+
+    const [deliveries] = await pool.query('SELECT * FROM webhook_deliveries WHERE id = ?', [id]);
+    return deliveries[0];
+  }
+
+  start() {
+    if (!this.timer && !this.polling) this.schedule();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  // Call after the queuing transaction commits, to send without waiting
+  // for the next poll
+  wake() {
+    if (this.polling) {
+      this.pollAgain = true;
+      return;
+    }
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.poll();
+  }
+
+  schedule() {
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.poll();
+    }, this.pollInterval);
+    this.timer.unref();
+  }
+
+  async poll() {
+    if (this.polling) return this.polling;
+
+    this.polling = (async () => {
+      try {
+        if (Date.now() - this.lastExpirySweep >= EXPIRY_SWEEP_INTERVAL_MS) {
+          this.lastExpirySweep = Date.now();
+          await this.queueExpiredInboxes();
+        }
+
+        let claim;
+        do {
+          claim = await this.claimDue();
+          await Promise.all(claim.ids.map(id => this.attempt(id, claim.token).catch(error => {
+            console.error(`Failed to deliver webhook ${id}:`, error);
+          })));
+        } while (claim.ids.length === CLAIM_BATCH_SIZE);
+      } catch (error) {
+        console.error('Failed to dispatch webhooks:', error);
+      } finally {
+        this.polling = null;
+        if (this.pollAgain) {
+          this.pollAgain = false;
+          this.poll();
+        } else if (!this.timer) {
+          this.schedule();
+        }
+      }
+    })();
+
+    return this.polling;
+  }
+
+  // Take due deliveries, pushing them back by the lease so other
+  // instances skip them while they are sent. Returns { ids, token }; only
+  // the holder of the latest claim token records an attempt's outcome.
+  async claimDue() {
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [due] = await connection.query(`
+        SELECT id FROM webhook_deliveries
+        WHERE status = ? AND next_attempt_at <= NOW()
+        ORDER BY next_attempt_at
+        LIMIT ?
+        FOR UPDATE SKIP LOCKED
+      `, [DELIVERY_STATUS.PENDING, CLAIM_BATCH_SIZE]);
+
+      const ids = due.map(delivery => delivery.id);
+      const token = uuidv4();
+      if (ids.length > 0) {
+        await connection.query(
+          'UPDATE webhook_deliveries SET claim_token = ?, next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND) WHERE id IN (?)',
+          [token, CLAIM_LEASE_SECONDS, ids]
+        );
+      }
+
+      await connection.commit();
+      return { ids, token };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Queue inbox.expired for inboxes that expired recently and have
+  // webhooks for it; expiry_notified_at makes sure it happens once
+  async queueExpiredInboxes() {
+    const [inboxes] = await pool.query(`
+      SELECT te.id, te.email, te.expires_at
+      FROM temp_emails te
+      WHERE te.expires_at <= NOW()
+        AND te.expires_at > DATE_SUB(NOW(), INTERVAL ? HOUR)
+        AND te.expiry_notified_at IS NULL
+        AND te.user_id IS NOT NULL
+        AND EXISTS (
+          SELECT 1 FROM user_webhooks uw
+          WHERE uw.is_active = 1
+            AND uw.user_id = te.user_id
+            AND (uw.temp_email_id = te.id OR uw.domain_id = te.domain_id)
+            AND FIND_IN_SET(?, uw.events)
+        )
+      LIMIT ?
+    `, [EXPIRY_LOOKBACK_HOURS, WEBHOOK_EVENTS.INBOX_EXPIRED, EXPIRY_BATCH_SIZE]);
+
+    for (const inbox of inboxes) {
+      const connection = await pool.getConnection();
+      try {
+        await connection.beginTransaction();
+
+        const [result] = await connection.query(
+          'UPDATE temp_emails SET expiry_notified_at = NOW() WHERE id = ? AND expiry_notified_at IS NULL',
+          [inbox.id]
+        );
+        if (result.affectedRows > 0) {
+          await this.enqueue(connection, inbox.id, WEBHOOK_EVENTS.INBOX_EXPIRED, {
+            inbox: { id: inbox.id, email: inbox.email, expires_at: inbox.expires_at }
+          });
+        }
+
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        console.error('Failed to queue inbox expiry webhooks:', error);
+      } finally {
+        connection.release();
+      }
+    }
+  }
+
+  // Send one delivery and record the outcome, unless the claim was lost
+  // to another instance meanwhile
+  async attempt(deliveryId, claimToken) {
+    const [deliveries] = await pool.query(`
+      SELECT wd.*, uw.url, uw.secret, uw.is_active
+      FROM webhook_deliveries wd
+      JOIN user_webhooks uw ON wd.webhook_id = uw.id
+      WHERE wd.id = ? AND wd.claim_token = ?
+    `, [deliveryId, claimToken]);
+
+    const delivery = deliveries[0];
+    if (!delivery) return;
+
+    if (!delivery.is_active) {
+      await pool.query(
+        'UPDATE webhook_deliveries SET status = ?, next_attempt_at = NULL, error = ? WHERE id = ? AND claim_token = ?',
+        [DELIVERY_STATUS.FAILED, 'Webhook is disabled', delivery.id, claimToken]
+      );
+      return;
+    }
+
+    const result = await this.send(delivery);
+    await this.recordAttempt(delivery, result);
+  }
+
+  // POST the payload; resolves to { ok, status, body, error, durationMs }
+  async send(delivery) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const startedAt = Date.now();
+
+    try {
+      this.assertDeliverable(delivery.url);
+
+      const response = await axios.post(delivery.url, delivery.payload, {
+        timeout: REQUEST_TIMEOUT_MS,
+        // timeout only limits waiting for the response to start
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+        maxRedirects: 0,
+        maxContentLength: MAX_RESPONSE_BYTES,
+        httpAgent: this.httpAgent,
+        httpsAgent: this.httpsAgent,
+        proxy: false,
+        responseType: 'text',
+        transformResponse: body => body,
+        validateStatus: () => true,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Boomlify-Webhooks/1.0',
+          'X-Webhook-Id': delivery.webhook_id,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Event': delivery.event_type,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Nonce': nonce,
+          'X-Webhook-Signature': signPayload(delivery.secret, timestamp, nonce, delivery.payload)
+        }
+      });
+
+      const ok = response.status >= 200 && response.status < 300;
+      return {
+        ok,
+        status: response.status,
+        body: String(response.data ?? '').slice(0, MAX_LOGGED_RESPONSE_LENGTH),
+        error: ok ? null : `Receiver responded with HTTP ${response.status}`,
+        durationMs: Date.now() - startedAt
+      };
+    } catch (error) {
+      const cause = error instanceof WebhookUrlError ? error : error.cause;
+      return {
+        ok: false,
+        status: null,
+        body: null,
+        error: cause instanceof WebhookUrlError ? cause.message :
+          axios.isCancel(error) ? `Receiver took longer than ${REQUEST_TIMEOUT_MS / 1000}s` : error.message,
+        durationMs: Date.now() - startedAt
+      };
+    }
+  }
+
+  // Nothing is recorded once another instance has claimed the delivery
+  async recordAttempt(delivery, result) {
+    const attempts = delivery.attempts + 1;
+    const isPing = delivery.event_type === PING_EVENT;
+
+    if (result.ok) {
+      const [updated] = await pool.query(`
+        UPDATE webhook_deliveries
+        SET status = ?, attempts = ?, claim_token = NULL, next_attempt_at = NULL, last_attempt_at = NOW(),
+          response_status = ?, response_body = ?, error = NULL, duration_ms = ?
+        WHERE id = ? AND claim_token = ?
+      `, [DELIVERY_STATUS.SUCCEEDED, attempts, result.status, result.body, result.durationMs, delivery.id, delivery.claim_token]);
+      if (updated.affectedRows === 0) return;
+
+      await pool.query('UPDATE user_webhooks SET consecutive_failures = 0 WHERE id = ?', [delivery.webhook_id]);
+      return;
+    }
+
+    const retry = !isPing && attempts < this.maxAttempts;
+    const delay = Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), RETRY_MAX_SECONDS);
+
+    const [updated] = await pool.query(`
+      UPDATE webhook_deliveries
+      SET status = ?, attempts = ?, claim_token = NULL,
+        next_attempt_at = ${retry ? 'DATE_ADD(NOW(), INTERVAL ? SECOND)' : 'NULL'},
+        last_attempt_at = NOW(), response_status = ?, response_body = ?, error = ?, duration_ms = ?
+      WHERE id = ? AND claim_token = ?
+    `, [
+      retry ? DELIVERY_STATUS.PENDING : DELIVERY_STATUS.FAILED,
+      attempts,
+      ...(retry ? [delay] : []),
+      result.status,
+      result.body,
+      result.error,
+      result.durationMs,
+      delivery.id,
+      delivery.claim_token
+    ]);
+    if (updated.affectedRows === 0) return;
+
+    if (!isPing) await this.recordFailure(delivery.webhook_id);
+  }
+
+  async recordFailure(webhookId) {
+    await pool.query(
+      'UPDATE user_webhooks SET consecutive_failures = consecutive_failures + 1 WHERE id = ?',
+      [webhookId]
+    );
+
+    const [result] = await pool.query(`
+      UPDATE user_webhooks
+      SET is_active = 0, disabled_at = NOW(), disabled_reason = ?
+      WHERE id = ? AND is_active = 1 AND consecutive_failures >= ?
+    `, [`Disabled after ${this.disableAfterFailures} failed deliveries in a row`, webhookId, this.disableAfterFailures]);
+
+    if (result.affectedRows > 0) {
+      console.warn(`Disabled webhook ${webhookId} after repeated delivery failures`);
+      await pool.query(
+        'UPDATE webhook_deliveries SET status = ?, next_attempt_at = NULL, error = ? WHERE webhook_id = ? AND status = ?',
+        [DELIVERY_STATUS.FAILED, 'Webhook is disabled', webhookId, DELIVERY_STATUS.PENDING]
+      );
+    }
+  }
+
+  // Finished deliveries are kept for WEBHOOK_DELIVERY_RETENTION_DAYS
+  async purgeExpired() {
+    const [result] = await pool.query(
+      'DELETE FROM webhook_deliveries WHERE status <> ? AND created_at < DATE_SUB(NOW(), INTERVAL ? DAY)',
+      [DELIVERY_STATUS.PENDING, this.retentionDays]
+    );
+    return result.affectedRows;
+  }
+}
+
+export default new WebhookDispatcher();
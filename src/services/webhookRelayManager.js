@@ -0,0 +1,210 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+
+const DEFAULT_ROTATION_GRACE = 24 * 60 * 60; // 24 hours, in seconds
+
+// Manages the relays allowed to post to /webhook/email/incoming, their
+// HMAC signing secrets and the nonces used for replay protection.
+export class WebhookRelayManager {
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+  }
+
+  async listRelays() {
+    const [relays] = await pool.query(`
+      SELECT
+        wr.*,
+        COUNT(CASE WHEN ws.is_active = 1 AND (ws.expires_at IS NULL OR ws.expires_at > NOW()) THEN 1 END) as active_secrets
+      FROM webhook_relays wr
+      LEFT JOIN webhook_relay_secrets ws ON wr.id = ws.relay_id
+      GROUP BY wr.id
+      ORDER BY wr.created_at DESC
+    `);
+    return relays;
+  }
+
+  async getRelay(id) {
+    const [relays] = await pool.query('SELECT * FROM webhook_relays WHERE id = ?', [id]);
+    if (relays.length === 0) return null;
+
+    // Secret values are only shown once, when they are created
+    const [secrets] = await pool.query(`
+      SELECT id, CONCAT(LEFT(secret, 10), '...') as secret_hint, is_active, expires_at, created_at
+      FROM webhook_relay_secrets
+      WHERE relay_id = ?
+      ORDER BY created_at DESC
+    `, [id]);
+
+    return { ...relays[0], secrets };
+  }
+
+  // Find an active relay by id or name
+  async findActiveRelay(relayKey) {
+    const [relays] = await pool.query(
+      'SELECT * FROM webhook_relays WHERE (id = ? OR name = ?) AND is_active = 1 LIMIT 1',
+      [relayKey, relayKey]
+    );
+    return relays[0] || null;
+  }
+
+  async createRelay({ name, allowUnsigned = false, allowedIps = null }) {
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const relayId = uuidv4();
+      await connection.query(
+        'INSERT INTO webhook_relays (id, name, allow_unsigned, allowed_ips) VALUES (?, ?, ?, ?)',
+        [relayId, name, allowUnsigned, allowedIps]
+      );
+
+      const secret = this.generateSecret();
+      await connection.query(
+        'INSERT INTO webhook_relay_secrets (id, relay_id, secret) VALUES (?, ?, ?)',
+        [uuidv4(), relayId, secret]
+      );
+
+      await connection.commit();
+
+      return { id: relayId, name, allowUnsigned, allowedIps, secret };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  async updateRelay(id, { name, allowUnsigned, allowedIps, isActive }) {
+    const updates = [];
+    const params = [];
+
+    if (name !== undefined) {
+      updates.push('name = ?');
+      params.push(name);
+    }
+    if (allowUnsigned !== undefined) {
+      updates.push('allow_unsigned = ?');
+      params.push(allowUnsigned);
+    }
+    if (allowedIps !== undefined) {
+      updates.push('allowed_ips = ?');
+      params.push(allowedIps);
+    }
+    if (isActive !== undefined) {
+      updates.push('is_active = ?');
+      params.push(isActive);
+    }
+
+    if (updates.length === 0) return false;
+
+    const [result] = await pool.query(
+      `UPDATE webhook_relays SET ${updates.join(', ')} WHERE id = ?`,
+      [...params, id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  async deleteRelay(id) {
+    const [result] = await pool.query('DELETE FROM webhook_relays WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  }
+
+  // Issue a new secret. Existing secrets stay valid for the grace period so
+  // relays can switch over without rejected deliveries.
+  async rotateSecret(relayId, graceSeconds = DEFAULT_ROTATION_GRACE) {
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [relays] = await connection.query('SELECT id FROM webhook_relays WHERE id = ?', [relayId]);
+      if (relays.length === 0) {
+        await connection.rollback();
+        return null;
+      }
+
+      await connection.query(`
+        UPDATE webhook_relay_secrets
+        SET expires_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+        WHERE relay_id = ?
+          AND is_active = 1
+          AND (expires_at IS NULL OR expires_at > DATE_ADD(NOW(), INTERVAL ? SECOND))
+      `, [graceSeconds, relayId, graceSeconds]);
+
+      const secretId = uuidv4();
+      const secret = this.generateSecret();
+      await connection.query(
+        'INSERT INTO webhook_relay_secrets (id, relay_id, secret) VALUES (?, ?, ?)',
+        [secretId, relayId, secret]
+      );
+
+      await connection.commit();
+
+      return { id: secretId, secret, previousSecretsExpireIn: graceSeconds };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  async revokeSecret(relayId, secretId) {
+    const [result] = await pool.query(
+      'UPDATE webhook_relay_secrets SET is_active = 0 WHERE id = ? AND relay_id = ?',
+      [secretId, relayId]
+    );
+    return result.affectedRows > 0;
+  }
+
+  async getValidSecrets(relayId) {
+    const [secrets] = await pool.query(`
+      SELECT secret FROM webhook_relay_secrets
+      WHERE relay_id = ?
+        AND is_active = 1
+        AND (expires_at IS NULL OR expires_at > NOW())
+    `, [relayId]);
+    return secrets.map(s => s.secret);
+  }
+
+  // Returns false when the nonce was already used by this relay
+  async recordNonce(relayId, nonce) {
+    try {
+      await pool.query(
+        'INSERT INTO webhook_nonces (relay_id, nonce) VALUES (?, ?)',
+        [relayId, nonce]
+      );
+      return true;
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') return false;
+      throw error;
+    }
+  }
+
+  async purgeNonces(maxAgeSeconds) {
+    const [result] = await pool.query(
+      'DELETE FROM webhook_nonces WHERE created_at < DATE_SUB(NOW(), INTERVAL ? SECOND)',
+      [maxAgeSeconds]
+    );
+    return result.affectedRows;
+  }
+
+  // HMAC-SHA256 over "<timestamp>.<nonce>.<raw body>"
+  computeSignature(secret, timestamp, nonce, rawBody) {
+    return crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${nonce}.`)
+      .update(rawBody || Buffer.alloc(0))
+      .digest('hex');
+  }
+
+  matchesAnySecret(secrets, signature, timestamp, nonce, rawBody) {
+    const provided = Buffer.from(signature.replace(/^sha256=/, ''), 'hex');
+
+    return secrets.some(secret => {
+      const expected = Buffer.from(this.computeSignature(secret, timestamp, nonce, rawBody), 'hex');
+      return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+    });
+  }
+}
@@ -0,0 +1,192 @@
+// Delivery status notifications (RFC 3464): multipart/report messages
+// with a message/delivery-status part holding one field group for the
+// reporting MTA and one per recipient, usually followed by the original
+// message or its headers (message/rfc822, text/rfc822-headers)
+import { headersFromText } from './mailHeaders.js';
+
+const DELIVERY_STATUS_TYPES = ['message/delivery-status', 'message/global-delivery-status'];
+const ORIGINAL_MESSAGE_TYPES = ['message/rfc822', 'message/global', 'text/rfc822-headers', 'message/global-headers'];
+
+// Sources without such a header are not split into parts at all
+const DELIVERY_STATUS_HEADER = /content-type:\s*message\/(?:global-)?delivery-status/i;
+
+// Actions that mean the message did not (yet) reach the recipient;
+// "delivered", "relayed" and "expanded" reports are not bounces
+const BOUNCE_ACTIONS = ['failed', 'delayed'];
+
+// 5.x.x statuses that are usually temporary: mailbox full
+const SOFT_STATUSES = ['5.2.2'];
+
+// Nested multiparts looked into (multipart/mixed around the report)
+const MAX_MULTIPART_DEPTH = 3;
+
+function header(headers, name) {
+  return headers.find(entry => entry.name.toLowerCase() === name)?.value || '';
+}
+
+// "multipart/report; report-type=delivery-status; boundary=x"
+function parseContentType(value) {
+  const [type, ...rest] = String(value || 'text/plain').split(';');
+  const params = {};
+  for (const match of rest.join(';').matchAll(/([\w-]+)\s*=\s*(?:"([^"]*)"|([^;\s]+))/g)) {
+    params[match[1].toLowerCase()] = match[2] ?? match[3];
+  }
+  return { type: type.trim().toLowerCase(), params };
+}
+
+function decodeBody(body, encoding) {
+  switch (encoding.toLowerCase()) {
+    case 'base64':
+      return Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8');
+    case 'quoted-printable':
+      return body
+        .replace(/=\r?\n/g, '')
+        .replace(/=([0-9A-F]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+    default:
+      return body;
+  }
+}
+
+// Leaf parts of a MIME entity as [{ type, body }], bodies decoded.
+// message/rfc822 parts are leaves: they are the original message.
+function leafParts(entity, depth = 0) {
+  const separator = entity.search(/\r?\n\r?\n/);
+  const headerBlock = separator >= 0 ? entity.slice(0, separator) : entity;
+  const body = separator >= 0 ? entity.slice(separator).replace(/^\r?\n\r?\n/, '') : '';
+  const headers = headersFromText(headerBlock);
+  const { type, params } = parseContentType(header(headers, 'content-type'));
+
+  if (!type.startsWith('multipart/') || !params.boundary) {
+    return [{ type, body: decodeBody(body, header(headers, 'content-transfer-encoding')) }];
+  }
+  if (depth >= MAX_MULTIPART_DEPTH) return [];
+
+  const delimiter = `--${params.boundary}`;
+  const parts = [];
+  let current = null;
+
+  for (const line of body.split(/\r?\n/)) {
+    if (line.startsWith(delimiter)) {
+      if (current) parts.push(current.join('\n'));
+      if (line.startsWith(`${delimiter}--`)) {
+        current = null;
+        break;
+      }
+      current = [];
+    } else if (current) {
+      current.push(line);
+    }
+  }
+
+  return parts.flatMap(part => leafParts(part, depth + 1));
+}
+
+// "rfc822; user@example.com" -> "user@example.com"
+function typedValue(value) {
+  return value ? value.replace(/^[^;]*;\s*/, '').trim() || null : null;
+}
+
+// Parse a message/delivery-status body into { reportingMta, arrivalDate,
+// recipients: [{ recipient, originalRecipient, action, status,
+// diagnostic, remoteMta, lastAttemptAt }] }
+export function parseDeliveryStatus(text) {
+  const [messageFields, ...recipientGroups] = String(text || '')
+    .split(/\r?\n[ \t]*\r?\n/)
+    .map(group => headersFromText(group.trim()))
+    .filter(group => group.length > 0);
+
+  const fields = messageFields || [];
+
+  return {
+    reportingMta: typedValue(header(fields, 'reporting-mta')),
+    arrivalDate: header(fields, 'arrival-date') || null,
+    recipients: recipientGroups.map(group => ({
+      recipient: (typedValue(header(group, 'final-recipient')) || '').replace(/^<|>$/g, '').toLowerCase() || null,
+      originalRecipient: typedValue(header(group, 'original-recipient')),
+      action: header(group, 'action').toLowerCase() || null,
+      status: header(group, 'status').match(/\d\.\d{1,3}\.\d{1,3}/)?.[0] || null,
+      diagnostic: typedValue(header(group, 'diagnostic-code')),
+      remoteMta: typedValue(header(group, 'remote-mta')),
+      lastAttemptAt: header(group, 'last-attempt-date') || null
+    }))
+  };
+}
+
+// Hard bounces will fail again (unknown mailbox, rejected domain); soft
+// ones may succeed later (delays, 4.x.x statuses, full mailboxes). Without
+// a Status field the SMTP reply in the diagnostic decides.
+export function classifyBounce({ action, status, diagnostic }) {
+  if (action === 'delayed') return 'soft';
+
+  const code = status || diagnostic?.match(/\b([245]\.\d{1,3}\.\d{1,3})\b/)?.[1];
+  if (code) {
+    return code.startsWith('4') || SOFT_STATUSES.includes(code) ? 'soft' : 'hard';
+  }
+
+  const reply = diagnostic?.match(/\b([45])\d\d\b/)?.[1];
+  return reply === '4' ? 'soft' : 'hard';
+}
+
+function sourceParts(rawSource) {
+  const source = Buffer.isBuffer(rawSource) ? rawSource.toString('utf8') : String(rawSource);
+  return DELIVERY_STATUS_HEADER.test(source) ? leafParts(source) : [];
+}
+
+// Only the report's own parts are decoded, and only for reports
+function attachmentParts(attachments = []) {
+  const typed = attachments.map(attachment => ({
+    attachment,
+    type: String(attachment.contentType || '').toLowerCase()
+  }));
+  if (!typed.some(({ type }) => DELIVERY_STATUS_TYPES.includes(type))) return [];
+
+  return typed
+    .filter(({ type }) => DELIVERY_STATUS_TYPES.includes(type) || ORIGINAL_MESSAGE_TYPES.includes(type))
+    .map(({ attachment, type }) => ({
+      type,
+      body: Buffer.from(attachment.content || '', 'base64').toString('utf8')
+    }));
+}
+
+// Bounce details of a message, or null when it is not a delivery failure
+// report. Reads the MIME structure of the raw source, or the parts of a
+// pre-parsed message (attachments with base64 content).
+// { type: 'hard' | 'soft', recipient, status, action, diagnostic,
+//   reportingMta, arrivalDate, recipients: [...],
+//   originalMessage: { messageId, subject, from, to, date, headers } }
+export function parseBounce({ rawSource, attachments } = {}) {
+  const parts = rawSource ? sourceParts(rawSource) : attachmentParts(attachments);
+
+  const statusPart = parts.find(part => DELIVERY_STATUS_TYPES.includes(part.type));
+  if (!statusPart) return null;
+
+  const report = parseDeliveryStatus(statusPart.body);
+  const recipients = report.recipients
+    .filter(recipient => BOUNCE_ACTIONS.includes(recipient.action))
+    .map(recipient => ({ ...recipient, type: classifyBounce(recipient) }));
+  if (recipients.length === 0) return null;
+
+  const originalPart = parts.find(part => ORIGINAL_MESSAGE_TYPES.includes(part.type));
+  const originalHeaders = originalPart ? headersFromText(originalPart.body) : [];
+  const [first] = recipients;
+
+  return {
+    type: first.type,
+    recipient: first.recipient,
+    status: first.status,
+    action: first.action,
+    diagnostic: first.diagnostic,
+    reportingMta: report.reportingMta,
+    arrivalDate: report.arrivalDate,
+    recipients,
+    originalMessage: {
+      // Without brackets, like received_emails.message_id
+      messageId: header(originalHeaders, 'message-id').replace(/^<|>$/g, '').trim().slice(0, 255) || null,
+      subject: header(originalHeaders, 'subject') || null,
+      from: header(originalHeaders, 'from') || null,
+      to: header(originalHeaders, 'to') || null,
+      date: header(originalHeaders, 'date') || null,
+      headers: originalHeaders
+    }
+  };
+}
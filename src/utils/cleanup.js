@@ -1,4 +1,23 @@
 import { pool } from '../db/init.js';
+import { WebhookRelayManager } from '../services/webhookRelayManager.js';
+import { AttachmentStore } from '../services/attachmentStore.js';
+import { ImageProxy } from '../services/imageProxy.js';
+import { DeadLetterStore } from '../services/deadLetterStore.js';
+import { IngestionDeduplicator } from '../services/ingestionDeduplicator.js';
+import inboxEvents from '../services/inboxEvents.js';
+import webhookDispatcher from '../services/webhookDispatcher.js';
+import { SIGNATURE_TOLERANCE } from '../middleware/webhookAuth.js';
+
+// Housekeeping steps fail on their own: the error is logged and the
+// remaining steps still run
+async function runStep(description, step) {
+  try {
+    return await step();
+  } catch (error) {
+    console.error(`Failed to clean up ${description}:`, error);
+    return 0;
+  }
+}
 
 export async function cleanupOldEmails() {
   try {
@@ -20,10 +39,98 @@ export async function cleanupOldEmails() {
     `);
 
     console.log(`Cleaned up ${attachmentResult.affectedRows} orphaned attachments.`);
+
+    // Remove attachment blobs no attachment row references any more
+    const deletedBlobs = await runStep('attachment blobs', () => new AttachmentStore().collectGarbage());
+
+    console.log(`Cleaned up ${deletedBlobs} unreferenced attachment blobs.`);
+
+    // Clean up stored original sources of deleted emails
+    const [sourceResult] = await pool.query(`
+      DELETE res FROM received_email_sources res
+      LEFT JOIN received_emails re ON res.email_id = re.id
+      WHERE re.id IS NULL
+    `);
+
+    console.log(`Cleaned up ${sourceResult.affectedRows} orphaned message sources.`);
+
+    // Clean up stored headers of deleted emails
+    const [headerResult] = await pool.query(`
+      DELETE reh FROM received_email_headers reh
+      LEFT JOIN received_emails re ON reh.email_id = re.id
+      WHERE re.id IS NULL
+    `);
+
+    console.log(`Cleaned up ${headerResult.affectedRows} orphaned message headers.`);
+
+    // Clean up bounce details of deleted emails
+    const [bounceResult] = await pool.query(`
+      DELETE reb FROM received_email_bounces reb
+      LEFT JOIN received_emails re ON reb.email_id = re.id
+      WHERE re.id IS NULL
+    `);
+
+    console.log(`Cleaned up ${bounceResult.affectedRows} orphaned bounce details.`);
+
+    // Remove deleted emails from the search index
+    const [searchResult] = await pool.query(`
+      DELETE res FROM received_email_search res
+      LEFT JOIN received_emails re ON res.email_id = re.id
+      WHERE re.id IS NULL
+    `);
+
+    console.log(`Cleaned up ${searchResult.affectedRows} orphaned search index entries.`);
+
+    // Nonces only need to outlive the signature timestamp window
+    const deletedNonces = await runStep('webhook nonces', () => new WebhookRelayManager().purgeNonces(SIGNATURE_TOLERANCE * 2));
+
+    console.log(`Cleaned up ${deletedNonces} expired webhook nonces.`);
+
+    const deletedCachedImages = await runStep('image proxy cache', () => new ImageProxy().pruneCache());
+
+    console.log(`Cleaned up ${deletedCachedImages} expired image proxy cache files.`);
+
+    const deletedDeadLetters = await runStep('dead letters', () => new DeadLetterStore().purgeExpired());
+
+    console.log(`Cleaned up ${deletedDeadLetters} expired dead letters.`);
+
+    const deletedIngestionKeys = await runStep('ingestion keys', () => new IngestionDeduplicator().purgeExpired());
+
+    console.log(`Cleaned up ${deletedIngestionKeys} expired ingestion keys.`);
+
+    const deletedInboxEvents = await runStep('inbox events', () => inboxEvents.purgeExpired());
+
+    console.log(`Cleaned up ${deletedInboxEvents} old inbox events.`);
+
+    // Webhooks of deleted inboxes and custom domains
+    const [webhookResult] = await pool.query(`
+      DELETE uw FROM user_webhooks uw
+      LEFT JOIN temp_emails te ON uw.temp_email_id = te.id
+      LEFT JOIN user_domains ud ON uw.domain_id = ud.id
+      WHERE te.id IS NULL AND ud.id IS NULL
+    `);
+
+    console.log(`Cleaned up ${webhookResult.affectedRows} orphaned webhooks.`);
+
+    const deletedWebhookDeliveries = await runStep('webhook deliveries', () => webhookDispatcher.purgeExpired());
+
+    console.log(`Cleaned up ${deletedWebhookDeliveries} old webhook deliveries.`);
     
     return {
       deletedEmails: result.affectedRows,
-      deletedAttachments: attachmentResult.affectedRows
+      deletedAttachments: attachmentResult.affectedRows,
+      deletedBlobs,
+      deletedSources: sourceResult.affectedRows,
+      deletedHeaders: headerResult.affectedRows,
+      deletedBounces: bounceResult.affectedRows,
+      deletedSearchEntries: searchResult.affectedRows,
+      deletedNonces,
+      deletedCachedImages,
+      deletedDeadLetters,
+      deletedIngestionKeys,
+      deletedInboxEvents,
+      deletedWebhooks: webhookResult.affectedRows,
+      deletedWebhookDeliveries
     };
   } catch (error) {
     console.error('Error during email cleanup:', error);
@@ -0,0 +1,60 @@
+import dns from 'dns';
+import fs from 'fs';
+
+// DNS lookups used by domain verification and mail authentication go
+// through a resolver function with the signature of dns.promises.resolve:
+//   resolver(name, rrtype) -> Promise<records>
+// Setting DNS_ZONE_FILE answers every lookup from a local JSON zone
+// instead, so checks can run offline:
+//   {
+//     "example.com": {
+//       "TXT": ["v=spf1 ip4:192.0.2.10 -all"],
+//       "MX": [{ "exchange": "mail.example.com", "priority": 10 }]
+//     },
+//     "sel._domainkey.example.com": { "TXT": ["v=DKIM1; k=rsa; p=MIIB..."] }
+//   }
+
+function normalizeName(name) {
+  return String(name).toLowerCase().replace(/\.$/, '');
+}
+
+function dnsError(code, name, rrtype) {
+  const error = new Error(`query${rrtype} ${code} ${name}`);
+  error.code = code;
+  error.hostname = name;
+  return error;
+}
+
+export function createZoneResolver(zone) {
+  const records = new Map(
+    Object.entries(zone).map(([name, entries]) => [normalizeName(name), entries])
+  );
+
+  return async (name, rrtype = 'A') => {
+    const entries = records.get(normalizeName(name));
+    if (!entries) {
+      throw dnsError(dns.NOTFOUND, name, rrtype);
+    }
+
+    const answers = entries[rrtype.toUpperCase()];
+    if (!answers || answers.length === 0) {
+      throw dnsError(dns.NODATA, name, rrtype);
+    }
+
+    // TXT records are lists of strings, like dns.resolveTxt returns them
+    if (rrtype.toUpperCase() === 'TXT') {
+      return answers.map(answer => Array.isArray(answer) ? answer : [answer]);
+    }
+
+    return answers;
+  };
+}
+
+export function createDnsResolver() {
+  if (process.env.DNS_ZONE_FILE) {
+    const zone = JSON.parse(fs.readFileSync(process.env.DNS_ZONE_FILE, 'utf8'));
+    return createZoneResolver(zone);
+  }
+
+  return (name, rrtype) => dns.promises.resolve(name, rrtype);
+}
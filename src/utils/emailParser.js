@@ -0,0 +1,349 @@
+import { simpleParser } from 'mailparser';
+import iconv from 'iconv-lite';
+import { headersFromLines, normalizeHeaderList } from './mailHeaders.js';
+import { parseBounce } from './bounceParser.js';
+
+// Email parsing helper functions
+export function normalizeAddress(address) {
+  if (!address) return '';
+  const angleMatch = address.match(/<(.+?)>/);
+  return (angleMatch ? angleMatch[1] : address).trim().toLowerCase();
+}
+
+// Split "a@x.com, Name <b@y.com>" (or an array of such strings) into
+// normalized addresses, keeping order and dropping duplicates
+export function splitAddressList(value) {
+  const values = Array.isArray(value) ? value : [value];
+  const addresses = [];
+
+  for (const entry of values) {
+    if (!entry) continue;
+    const matches = String(entry).match(/[^\s<>,;"']+@[^\s<>,;"']+/g) || [];
+    for (const match of matches) {
+      const address = normalizeAddress(match);
+      if (!addresses.includes(address)) addresses.push(address);
+    }
+  }
+
+  return addresses;
+}
+
+// Flatten a mailparser address field (object, array, or groups) to addresses
+function addressesFromHeader(field) {
+  const objects = Array.isArray(field) ? field : field ? [field] : [];
+  const addresses = [];
+
+  const collect = entries => {
+    for (const entry of entries || []) {
+      if (entry.group) collect(entry.group);
+      else if (entry.address) addresses.push(entry.address);
+    }
+  };
+  objects.forEach(object => collect(object.value));
+
+  return splitAddressList(addresses);
+}
+
+export function extractSenderEmail(emailFrom) {
+  if (!emailFrom) return '';
+  const angleEmailMatch = emailFrom.match(/<(.+?)>/);
+  if (angleEmailMatch) return angleEmailMatch[1];
+  const simpleEmailMatch = emailFrom.match(/([a-zA-Z0-9._-]+@[a-zA-Z0-9._-]+\.[a-zA-Z0-9._-]+)/);
+  if (simpleEmailMatch) return simpleEmailMatch[1];
+  return emailFrom;
+}
+
+export function extractSenderName(emailFrom) {
+  if (!emailFrom) return 'Unknown Sender';
+  const nameMatch = emailFrom.match(/^"?([^"<]+)"?\s*</);
+  if (nameMatch) return nameMatch[1].trim();
+  const email = extractSenderEmail(emailFrom);
+  return email.split('@')[0] || 'Unknown Sender';
+}
+
+export function cleanSubject(subject) {
+  if (!subject) return 'No Subject';
+  const prefixesToRemove = [
+    /^re:\s*/i,
+    /^fwd:\s*/i,
+    /^fw:\s*/i,
+    /^\[SPAM\]\s*/i,
+    /^bounce:/i,
+    /^auto.*reply:\s*/i,
+    /^automatic\s+reply:\s*/i
+  ];
+  let cleanedSubject = subject;
+  prefixesToRemove.forEach(prefix => {
+    cleanedSubject = cleanedSubject.replace(prefix, '');
+  });
+  cleanedSubject = cleanedSubject
+    .replace(/"/g, '"')
+    .replace(/&/g, '&')
+    .replace(/</g, '<')
+    .replace(/>/g, '>')
+    .replace(/&#(\d+);/g, (match, dec) => String.fromCharCode(dec));
+  cleanedSubject = cleanedSubject.replace(/\s+/g, ' ').trim();
+  if (cleanedSubject.length > 100) cleanedSubject = cleanedSubject.substring(0, 97) + '...';
+  return cleanedSubject || 'No Subject';
+}
+
+// Content-IDs are compared without angle brackets and case-insensitively
+export function normalizeContentId(contentId) {
+  if (!contentId) return '';
+  return String(contentId).trim().replace(/^<|>$/g, '').toLowerCase();
+}
+
+// Basic HTML entities, for text taken out of HTML bodies
+export function decodeEntities(text) {
+  return text
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>')
+    .replace(/&quot;/gi, '"')
+    .replace(/&#39;/gi, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(code))
+    .replace(/&amp;/gi, '&');
+}
+
+// Visible text of an HTML body, for messages without a text part
+export function htmlToText(html) {
+  return decodeEntities(String(html || '')
+    .replace(/<(script|style|head)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<br\s*\/?>|<\/(p|div|tr|li|h\d)>/gi, '\n')
+    .replace(/<[^>]+>/g, ' '))
+    .replace(/[ \t]+/g, ' ');
+}
+
+// Message-IDs are stored without angle brackets. They are compared as
+// is: the local part is case-sensitive.
+const MAX_MESSAGE_ID_LENGTH = 255;
+const MAX_REFERENCES = 50;
+
+export function normalizeMessageId(messageId) {
+  if (!messageId) return null;
+  const normalized = String(messageId).trim().replace(/^<|>$/g, '').trim();
+  return normalized ? normalized.slice(0, MAX_MESSAGE_ID_LENGTH) : null;
+}
+
+// Message-IDs listed in In-Reply-To or References ("<a@x> <b@y>"), oldest
+// first. Bare ids without brackets are accepted for JSON payloads.
+export function parseMessageIds(value) {
+  const values = Array.isArray(value) ? value : [value];
+  const ids = [];
+
+  for (const entry of values) {
+    if (!entry) continue;
+    const text = String(entry);
+    const bracketed = text.match(/<[^<>]+>/g);
+    for (const id of (bracketed || text.split(/[\s,]+/)).map(normalizeMessageId)) {
+      if (id && !ids.includes(id)) ids.push(id);
+    }
+  }
+
+  // Long chains keep the root and the most recent ancestors
+  return ids.length > MAX_REFERENCES ?
+    [ids[0], ...ids.slice(ids.length - MAX_REFERENCES + 1)] :
+    ids;
+}
+
+// cid: URLs (RFC 2392) in an HTML body, e.g. <img src="cid:logo@example.com">
+const CID_REFERENCE = /\bcid:([^\s"'<>)]+)/gi;
+
+// Point cid: references at the matching attachments. urlFor(attachment)
+// returns the URL to use; the result lists the attachments that were
+// referenced, i.e. the inline parts.
+export function resolveCidReferences(html, attachments, urlFor) {
+  const inline = new Set();
+  const byContentId = new Map(
+    attachments
+      .filter(attachment => attachment.contentId)
+      .map(attachment => [normalizeContentId(attachment.contentId), attachment])
+  );
+
+  if (!html || byContentId.size === 0) {
+    return { html, inline };
+  }
+
+  const resolved = html.replace(CID_REFERENCE, (reference, cid) => {
+    let contentId = cid;
+    try {
+      contentId = decodeURIComponent(cid);
+    } catch (error) {
+      // Not URL-encoded; use it as is
+    }
+
+    const attachment = byContentId.get(normalizeContentId(contentId));
+    if (!attachment) return reference;
+
+    inline.add(attachment);
+    return urlFor(attachment);
+  });
+
+  return { html: resolved, inline };
+}
+
+// A malformed delivery report leaves the message an ordinary one
+function detectBounce(source) {
+  try {
+    return parseBounce(source);
+  } catch (error) {
+    console.error('Failed to parse bounce report:', error);
+    return null;
+  }
+}
+
+export async function parseEmailContent(rawContent) {
+  try {
+    let decodedContent = rawContent;
+    if (typeof rawContent === 'string') {
+      try {
+        decodedContent = iconv.decode(Buffer.from(rawContent), 'utf8');
+      } catch (err) {
+        decodedContent = iconv.decode(Buffer.from(rawContent), 'latin1');
+      }
+    }
+    // keepCidLinks: inline images stay cid: references (resolved to
+    // attachment URLs at storage time) instead of data: URIs
+    const parsed = await simpleParser(decodedContent, { keepCidLinks: true });
+    return {
+      headers: headersFromLines(parsed.headerLines),
+      messageId: parsed.messageId,
+      inReplyTo: parsed.inReplyTo,
+      references: parsed.references,
+      subject: parsed.subject,
+      from: parsed.from?.text || '',
+      to: parsed.to?.text || '',
+      toAddresses: addressesFromHeader(parsed.to),
+      ccAddresses: addressesFromHeader(parsed.cc),
+      text: parsed.text,
+      html: parsed.html,
+      // Delivery failure reports are recognized from the MIME structure
+      bounce: detectBounce({ rawSource: decodedContent }),
+      attachments: parsed.attachments.map(attachment => ({
+        filename: attachment.filename,
+        contentType: attachment.contentType,
+        size: attachment.size,
+        contentId: attachment.cid || null,
+        content: attachment.content.toString('base64')
+      }))
+    };
+  } catch (error) {
+    console.error('Error parsing email:', error);
+    return {
+      headers: [],
+      subject: 'Unable to parse subject',
+      from: '',
+      to: '',
+      toAddresses: [],
+      ccAddresses: [],
+      text: Buffer.isBuffer(rawContent) ? rawContent.toString() : rawContent,
+      html: '',
+      attachments: []
+    };
+  }
+}
+
+// Inbound messages are normalized into one model, whatever transport they
+// arrived on, before going through EmailRouter.processInboundEmail:
+// { recipients, envelopeRecipients, sender, senderName, subject,
+//   messageId, inReplyTo, references, headers: [{ name, value }],
+//   body_html, body_text,
+//   attachments: [{ filename, contentType, size, content (base64) }],
+//   bounce (see parseBounce in utils/bounceParser.js, null for other mail),
+//   rawSource (Buffer or null) }
+// `recipients` holds the envelope recipients followed by the To/Cc header
+// addresses (unless headerFanOut is false, as over SMTP where the envelope
+// is authoritative), so one message addressed to several of our inboxes
+// is delivered to each of them. Only the envelope recipients given by the
+// transport are in `envelopeRecipients`; header addresses that are not
+// ours are skipped, never rejected.
+export function buildEmailData(parsedEmail, { recipient, sender, rawSource, client, headerFanOut = true } = {}) {
+  const envelopeRecipients = splitAddressList(recipient);
+  const headerRecipients = headerFanOut ?
+    [...(parsedEmail.toAddresses || splitAddressList(parsedEmail.to)), ...(parsedEmail.ccAddresses || [])] :
+    [];
+
+  return {
+    recipients: splitAddressList([...envelopeRecipients, ...headerRecipients]),
+    envelopeRecipients,
+    sender: extractSenderEmail(sender || parsedEmail.from),
+    senderName: extractSenderName(sender || parsedEmail.from),
+    subject: cleanSubject(parsedEmail.subject),
+    // Message identity, used for threading
+    messageId: normalizeMessageId(parsedEmail.messageId),
+    inReplyTo: parseMessageIds(parsedEmail.inReplyTo)[0] || null,
+    references: parseMessageIds(parsedEmail.references),
+    // All headers in message order, unfolded
+    headers: parsedEmail.headers || [],
+    body_html: parsedEmail.html || '',
+    body_text: parsedEmail.text || '',
+    attachments: parsedEmail.attachments || [],
+    bounce: parsedEmail.bounce || null,
+    rawSource: rawSource ? Buffer.from(rawSource) : null,
+    // Connecting client as seen by the receiving MTA (for SPF)
+    client: {
+      ip: client?.ip || null,
+      helo: client?.helo || null,
+      mailFrom: client?.mailFrom ? normalizeAddress(client.mailFrom) : null
+    }
+  };
+}
+
+// Raw RFC 822 source (SMTP/LMTP, message/rfc822 uploads)
+export async function normalizeRawMessage(rawSource, { recipient, sender, client, headerFanOut } = {}) {
+  const parsedEmail = await parseEmailContent(rawSource);
+  return buildEmailData(parsedEmail, { recipient, sender, rawSource, client, headerFanOut });
+}
+
+// Form-encoded webhook: MIME source in `body`, envelope in `recipient`/`sender`,
+// connecting client in `client_ip`/`helo`
+export async function normalizeFormPayload(body) {
+  return normalizeRawMessage(body.body, {
+    recipient: body.recipient,
+    sender: body.sender,
+    client: { ip: body.client_ip, helo: body.helo, mailFrom: body.sender }
+  });
+}
+
+// JSON webhook: either the MIME source in `raw` (with the connecting
+// client in clientIp/helo/mailFrom), or pre-parsed fields (from, fromName,
+// subject, messageId, inReplyTo, references, headers, html, text,
+// attachments with base64 content and an optional contentId for inline
+// parts)
+export async function normalizeJsonPayload(payload) {
+  // `to` (and `cc`) are header fields, not the envelope
+  const recipient = payload.recipients || payload.recipient;
+
+  if (payload.raw) {
+    return normalizeRawMessage(payload.raw, {
+      recipient,
+      sender: payload.sender,
+      client: { ip: payload.clientIp, helo: payload.helo, mailFrom: payload.mailFrom || payload.sender }
+    });
+  }
+
+  const sender = payload.fromName && payload.from ?
+    `"${payload.fromName}" <${extractSenderEmail(payload.from)}>` :
+    payload.from;
+
+  return buildEmailData({
+    subject: payload.subject,
+    messageId: payload.messageId,
+    inReplyTo: payload.inReplyTo,
+    references: payload.references,
+    headers: normalizeHeaderList(payload.headers),
+    from: payload.from || '',
+    to: payload.to || '',
+    ccAddresses: splitAddressList(payload.cc),
+    text: payload.text,
+    html: payload.html,
+    bounce: detectBounce({ attachments: payload.attachments }),
+    attachments: (payload.attachments || []).map(attachment => ({
+      filename: attachment.filename || 'attachment',
+      contentType: attachment.contentType || 'application/octet-stream',
+      size: attachment.size ?? Buffer.from(attachment.content || '', 'base64').length,
+      contentId: (attachment.contentId || attachment.cid || '').replace(/^<|>$/g, '') || null,
+      content: attachment.content || ''
+    }))
+  }, { recipient, sender });
+}
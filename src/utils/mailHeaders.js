@@ -0,0 +1,130 @@
+// Message header helpers: ordered header lists and the Received chain
+
+const MAX_HEADER_NAME_LENGTH = 255;
+
+// Folded header values (RFC 5322 2.2.3) are unfolded to one line, with
+// the folding whitespace collapsed to a space
+function unfold(value) {
+  return String(value ?? '').replace(/\r?\n[ \t]+/g, ' ').trim();
+}
+
+// mailparser headerLines ([{ key, line }], in message order) to
+// [{ name, value }], keeping the original name casing and duplicates
+export function headersFromLines(headerLines) {
+  return (headerLines || []).map(({ key, line }) => {
+    const separator = line.indexOf(':');
+    return {
+      name: (separator > 0 ? line.slice(0, separator) : key).trim().slice(0, MAX_HEADER_NAME_LENGTH),
+      value: unfold(separator > 0 ? line.slice(separator + 1) : '')
+    };
+  });
+}
+
+// A raw header block ("Name: value" lines, possibly folded) to
+// [{ name, value }]; parsing stops at the first empty line
+export function headersFromText(text) {
+  const block = String(text || '').split(/\r?\n\r?\n/)[0];
+  const headers = [];
+
+  for (const line of block.split(/\r?\n(?![ \t])/)) {
+    const separator = line.indexOf(':');
+    if (separator <= 0) continue;
+    headers.push({
+      name: line.slice(0, separator).trim().slice(0, MAX_HEADER_NAME_LENGTH),
+      value: unfold(line.slice(separator + 1))
+    });
+  }
+
+  return headers;
+}
+
+// Headers sent in JSON payloads, either [{ name, value }] or
+// { name: value | [values] }
+export function normalizeHeaderList(headers) {
+  if (!headers) return [];
+
+  const entries = Array.isArray(headers) ?
+    headers.map(header => [header?.name, header?.value]) :
+    Object.entries(headers).flatMap(([name, value]) =>
+      (Array.isArray(value) ? value : [value]).map(entry => [name, entry])
+    );
+
+  return entries
+    .filter(([name]) => typeof name === 'string' && name.trim())
+    .map(([name, value]) => ({ name: name.trim().slice(0, MAX_HEADER_NAME_LENGTH), value: unfold(value) }));
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  // Trailing comments such as "(UTC)" or "(PST)" confuse Date parsing
+  const date = new Date(value.replace(/\([^)]*\)/g, ' ').trim());
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+const RECEIVED_CLAUSES = ['from', 'by', 'via', 'with', 'id', 'for'];
+
+// Split a Received header (RFC 5321 4.4) into its clauses:
+// "from a.example (a.example [192.0.2.1]) by mx.example with ESMTPS id x
+//  for <rcpt@example>; Tue, 1 Oct 2024 10:00:00 +0000"
+export function parseReceivedHeader(value) {
+  const text = unfold(value);
+  const dateSeparator = text.lastIndexOf(';');
+  const clauses = dateSeparator >= 0 ? text.slice(0, dateSeparator) : text;
+  const hop = { from: null, by: null, via: null, with: null, id: null, for: null, ip: null, date: null };
+
+  // Keywords inside comments ("(... by ...)") are not clause starts
+  let masked = clauses;
+  while (/\([^()]*\)/.test(masked)) {
+    masked = masked.replace(/\([^()]*\)/g, comment => ' '.repeat(comment.length));
+  }
+  const keyword = new RegExp(`(?:^|\\s)(${RECEIVED_CLAUSES.join('|')})\\s+`, 'gi');
+  const starts = [...masked.matchAll(keyword)].map(match => ({
+    clause: match[1].toLowerCase(),
+    start: match.index,
+    valueStart: match.index + match[0].length
+  }));
+
+  starts.forEach(({ clause, valueStart }, index) => {
+    const end = index + 1 < starts.length ? starts[index + 1].start : clauses.length;
+    if (hop[clause] === null) hop[clause] = clauses.slice(valueStart, end).trim() || null;
+  });
+
+  const ipMatch = (hop.from || '').match(/\[(?:IPv6:)?([0-9a-f:.]+)\]/i);
+  hop.ip = ipMatch ? ipMatch[1] : null;
+
+  const date = parseDate(dateSeparator >= 0 ? text.slice(dateSeparator + 1) : null);
+  hop.date = date ? date.toISOString() : null;
+
+  return hop;
+}
+
+// Delivery timeline from the Received headers, in the order the message
+// travelled (Received headers are prepended, so the last one is the first
+// hop). delaySeconds is the time since the previous hop, or since the
+// Date header for the first hop; null when either timestamp is missing.
+export function receivedTimeline(headers) {
+  const header = name => headers.find(entry => entry.name.toLowerCase() === name);
+  const sentAt = parseDate(header('date')?.value);
+
+  const hops = headers
+    .filter(entry => entry.name.toLowerCase() === 'received')
+    .map(entry => parseReceivedHeader(entry.value))
+    .reverse();
+
+  let previous = sentAt;
+  const timeline = hops.map((hop, index) => {
+    const date = hop.date ? new Date(hop.date) : null;
+    const delaySeconds = date && previous ? Math.round((date - previous) / 1000) : null;
+    previous = date;
+    return { hop: index + 1, ...hop, delaySeconds };
+  });
+
+  const firstDate = sentAt || (hops[0]?.date ? new Date(hops[0].date) : null);
+  const lastDate = hops.length > 0 && hops[hops.length - 1].date ? new Date(hops[hops.length - 1].date) : null;
+
+  return {
+    sentAt: sentAt ? sentAt.toISOString() : null,
+    hops: timeline,
+    totalDelaySeconds: firstDate && lastDate ? Math.round((lastDate - firstDate) / 1000) : null
+  };
+}
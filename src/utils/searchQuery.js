@@ -0,0 +1,106 @@
+// Mail search query language, e.g.
+//   invoice from:billing@acme.com after:2024-01-01 has:attachment -draft
+//   subject:"password reset" in:signup-tests
+// Free words and "quoted phrases" are matched against subject, sender and
+// body; a leading "-" excludes a word or phrase. Operator values can be
+// quoted too.
+
+export const SEARCH_OPERATORS = ['from', 'to', 'subject', 'has', 'before', 'after', 'in'];
+
+// InnoDB's default innodb_ft_min_token_size; shorter words are not
+// indexed, and requiring one would match nothing
+const MIN_WORD_LENGTH = 3;
+
+const TOKEN = /(-)?(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+// YYYY-MM-DD or YYYY/MM/DD, as midnight UTC
+function parseDay(value) {
+  const match = value.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/);
+  if (!match) return null;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Returns { terms: [{ text, phrase, exclude }], from, to, subject, in,
+// hasAttachment, before, after, errors }. Unknown operators are searched
+// as plain words ("re:", "http:").
+export function parseSearchQuery(query) {
+  const parsed = {
+    terms: [],
+    from: [],
+    to: [],
+    subject: [],
+    in: [],
+    hasAttachment: false,
+    before: null,
+    after: null,
+    errors: []
+  };
+
+  for (const match of String(query || '').matchAll(TOKEN)) {
+    const [token, negated, rawOperator, quoted, bare] = match;
+    const operator = rawOperator?.toLowerCase();
+    const value = (quoted ?? bare ?? '').trim();
+
+    if (operator && SEARCH_OPERATORS.includes(operator)) {
+      if (negated) {
+        parsed.errors.push(`${operator}: cannot be negated`);
+        continue;
+      }
+      if (!value) {
+        parsed.errors.push(`${operator}: needs a value`);
+        continue;
+      }
+
+      if (operator === 'has') {
+        if (['attachment', 'attachments'].includes(value.toLowerCase())) {
+          parsed.hasAttachment = true;
+        } else {
+          parsed.errors.push(`Unknown has: value "${value}"`);
+        }
+      } else if (operator === 'before' || operator === 'after') {
+        const day = parseDay(value);
+        if (day) {
+          parsed[operator] = day;
+        } else {
+          parsed.errors.push(`${operator}: expects a date like 2024-01-31`);
+        }
+      } else {
+        parsed[operator].push(value);
+      }
+      continue;
+    }
+
+    const text = operator ? token.replace(/^-/, '') : value;
+    if (text) {
+      parsed.terms.push({ text, phrase: quoted !== undefined && !operator, exclude: Boolean(negated) });
+    }
+  }
+
+  return parsed;
+}
+
+// Words and phrases as a MySQL boolean-mode full-text query. By default
+// every term is required and words get a trailing "*" so "invoic" finds
+// "invoices"; with { any: true } (used for excluded terms) any exact term
+// matches. Words are split on punctuation like the full-text parser does
+// (which also drops the boolean-mode operators from user input), and words
+// too short to be indexed are left out.
+export function toBooleanQuery(terms, { any = false } = {}) {
+  const parts = [];
+
+  for (const term of terms) {
+    const words = term.text.split(/[^\p{L}\p{N}_]+/u)
+      .filter(word => word.length >= MIN_WORD_LENGTH);
+    if (words.length === 0) continue;
+
+    const prefix = any ? '' : '+';
+    if (term.phrase && words.length > 1) {
+      parts.push(`${prefix}"${words.join(' ')}"`);
+    } else {
+      parts.push(...words.map(word => `${prefix}${word}${any ? '' : '*'}`));
+    }
+  }
+
+  return parts.join(' ');
+}
@@ -0,0 +1,58 @@
+import http from 'http';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Local receiver for user webhooks: prints every delivery and checks its
+// signature. Run the API with WEBHOOK_ALLOW_PRIVATE_URLS=true and register
+// http://localhost:<port>/ as the webhook URL.
+const sinkConfig = {
+  port: parseInt(process.env.WEBHOOK_SINK_PORT || '4000'),
+  // The secret returned when the webhook was created
+  secret: process.env.WEBHOOK_SECRET,
+  // Answer with another status (e.g. 500) to watch retries
+  status: parseInt(process.env.WEBHOOK_SINK_STATUS || '200')
+};
+
+function verifySignature(req, body) {
+  const timestamp = req.headers['x-webhook-timestamp'];
+  const nonce = req.headers['x-webhook-nonce'];
+  const signature = String(req.headers['x-webhook-signature'] || '');
+
+  const expected = `sha256=${crypto.createHmac('sha256', sinkConfig.secret).update(`${timestamp}.${nonce}.${body}`).digest('hex')}`;
+  return expected.length === signature.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+}
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+
+    console.log(`\n${new Date().toISOString()} ${req.method} ${req.url}`);
+    console.log('Event:', req.headers['x-webhook-event']);
+    console.log('Delivery:', req.headers['x-webhook-delivery']);
+    if (sinkConfig.secret) {
+      console.log(verifySignature(req, body) ? '✅ Signature valid' : '❌ Signature does not match');
+    } else {
+      console.log('Signature not checked (WEBHOOK_SECRET is not set)');
+    }
+
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch (error) {
+      console.log(body);
+    }
+
+    res.writeHead(sinkConfig.status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ received: true }));
+  });
+});
+
+server.listen(sinkConfig.port, () => {
+  console.log(`Webhook sink listening on http://localhost:${sinkConfig.port}/`);
+  console.log('Responding with status', sinkConfig.status);
+});
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseBounce, parseDeliveryStatus, classifyBounce } from '../src/utils/bounceParser.js';
+import { normalizeRawMessage } from '../src/utils/emailParser.js';
+
+function report({ action = 'failed', status = '5.1.1', diagnostic = 'smtp; 550 5.1.1 <nobody@example.org>: Recipient address\r\n    rejected: User unknown' } = {}) {
+  return [
+    'From: Mail Delivery System <MAILER-DAEMON@mx.example.net>',
+    'To: me@ours.test',
+    'Subject: Undelivered Mail Returned to Sender',
+    'MIME-Version: 1.0',
+    'Content-Type: multipart/report; report-type=delivery-status; boundary="BOUND"',
+    '',
+    '--BOUND',
+    'Content-Type: text/plain; charset=us-ascii',
+    '',
+    'Your message could not be delivered.',
+    '',
+    '--BOUND',
+    'Content-Type: message/delivery-status',
+    '',
+    'Reporting-MTA: dns; mx.example.net',
+    'Arrival-Date: Tue,  1 Oct 2024 10:00:00 +0000',
+    '',
+    'Final-Recipient: rfc822; <Nobody@example.org>',
+    'Original-Recipient: rfc822;Nobody@example.org',
+    `Action: ${action}`,
+    `Status: ${status}`,
+    'Remote-MTA: dns; mail.example.org',
+    `Diagnostic-Code: ${diagnostic}`,
+    '',
+    '--BOUND',
+    'Content-Type: message/rfc822',
+    '',
+    'From: me@ours.test',
+    'To: nobody@example.org',
+    'Subject: Hello there',
+    'Message-ID: <orig123@ours.test>',
+    '',
+    'Body of the original',
+    '--BOUND--',
+    ''
+  ].join('\r\n');
+}
+
+test('parses a hard bounce from the raw source', () => {
+  const bounce = parseBounce({ rawSource: Buffer.from(report()) });
+
+  assert.equal(bounce.type, 'hard');
+  assert.equal(bounce.recipient, 'nobody@example.org');
+  assert.equal(bounce.status, '5.1.1');
+  assert.equal(bounce.action, 'failed');
+  assert.match(bounce.diagnostic, /550 5\.1\.1 .*User unknown/);
+  assert.equal(bounce.reportingMta, 'mx.example.net');
+  assert.equal(bounce.recipients.length, 1);
+  assert.equal(bounce.recipients[0].originalRecipient, 'Nobody@example.org');
+  assert.equal(bounce.recipients[0].remoteMta, 'mail.example.org');
+  assert.equal(bounce.originalMessage.messageId, 'orig123@ours.test');
+  assert.equal(bounce.originalMessage.subject, 'Hello there');
+});
+
+test('delays and full mailboxes are soft bounces', () => {
+  assert.equal(parseBounce({ rawSource: report({ action: 'delayed', status: '4.4.1' }) }).type, 'soft');
+  assert.equal(parseBounce({ rawSource: report({ status: '5.2.2' }) }).type, 'soft');
+});
+
+test('delivery reports that are not failures are not bounces', () => {
+  assert.equal(parseBounce({ rawSource: report({ action: 'delivered', status: '2.0.0' }) }), null);
+});
+
+test('ordinary messages are not bounces', () => {
+  const message = 'From: a@example.org\r\nTo: me@ours.test\r\nSubject: Action: failed\r\n\r\nStatus: 5.1.1\r\n';
+  assert.equal(parseBounce({ rawSource: message }), null);
+});
+
+test('parses pre-parsed reports from their attachments', () => {
+  const deliveryStatus = 'Reporting-MTA: dns; mx.example.net\n\nFinal-Recipient: rfc822; gone@example.org\nAction: failed\nStatus: 5.1.1\n';
+  const bounce = parseBounce({
+    attachments: [
+      { contentType: 'message/delivery-status', content: Buffer.from(deliveryStatus).toString('base64') },
+      { contentType: 'text/rfc822-headers', content: Buffer.from('Message-ID: <x@ours.test>\nSubject: Hi\n').toString('base64') }
+    ]
+  });
+
+  assert.equal(bounce.recipient, 'gone@example.org');
+  assert.equal(bounce.type, 'hard');
+  assert.equal(bounce.originalMessage.messageId, 'x@ours.test');
+});
+
+test('parseDeliveryStatus reads one group per recipient', () => {
+  const status = parseDeliveryStatus([
+    'Reporting-MTA: dns; mx.example.net',
+    '',
+    'Final-Recipient: rfc822; a@example.org',
+    'Action: failed',
+    'Status: 5.0.0 (permanent failure)',
+    '',
+    'Final-Recipient: rfc822; b@example.org',
+    'Action: delivered',
+    'Status: 2.0.0'
+  ].join('\n'));
+
+  assert.deepEqual(status.recipients.map(recipient => [recipient.recipient, recipient.action, recipient.status]), [
+    ['a@example.org', 'failed', '5.0.0'],
+    ['b@example.org', 'delivered', '2.0.0']
+  ]);
+});
+
+test('classifyBounce falls back to the diagnostic without a status', () => {
+  assert.equal(classifyBounce({ action: 'failed', status: null, diagnostic: 'smtp; 452 4.2.2 Mailbox full' }), 'soft');
+  assert.equal(classifyBounce({ action: 'failed', status: null, diagnostic: 'smtp; 421 Try again later' }), 'soft');
+  assert.equal(classifyBounce({ action: 'failed', status: null, diagnostic: 'smtp; 550 No such user' }), 'hard');
+  assert.equal(classifyBounce({ action: 'failed', status: null, diagnostic: null }), 'hard');
+});
+
+test('received reports are normalized with their bounce', async () => {
+  const emailData = await normalizeRawMessage(report(), { recipient: 'me@ours.test' });
+
+  assert.equal(emailData.bounce.type, 'hard');
+  assert.equal(emailData.bounce.recipient, 'nobody@example.org');
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildEmailData, normalizeJsonPayload, normalizeRawMessage, splitAddressList } from '../src/utils/emailParser.js';
+
+const RAW = [
+  'From: Sender <sender@example.org>',
+  'To: Alice <Alice@ours.test>, bob@ours.test',
+  'Cc: carol@elsewhere.test',
+  'Subject: Hello',
+  'Message-ID: <m1@example.org>',
+  '',
+  'Hi'
+].join('\r\n');
+
+test('splitAddressList normalizes, keeps order and drops duplicates', () => {
+  assert.deepEqual(
+    splitAddressList(['A@x.test, "B" <b@y.test>', 'a@x.test; c@z.test']),
+    ['a@x.test', 'b@y.test', 'c@z.test']
+  );
+});
+
+test('fans out to the envelope recipient and every To/Cc address', () => {
+  const emailData = buildEmailData({
+    toAddresses: ['alice@ours.test', 'bob@ours.test'],
+    ccAddresses: ['carol@elsewhere.test'],
+    from: 'sender@example.org'
+  }, { recipient: 'dave@ours.test' });
+
+  assert.deepEqual(emailData.recipients, ['dave@ours.test', 'alice@ours.test', 'bob@ours.test', 'carol@elsewhere.test']);
+  assert.deepEqual(emailData.envelopeRecipients, ['dave@ours.test']);
+});
+
+test('header addresses never become envelope recipients', () => {
+  const emailData = buildEmailData({ to: 'alice@ours.test, carol@elsewhere.test' }, { recipient: 'alice@ours.test' });
+
+  assert.deepEqual(emailData.recipients, ['alice@ours.test', 'carol@elsewhere.test']);
+  assert.deepEqual(emailData.envelopeRecipients, ['alice@ours.test']);
+});
+
+test('headerFanOut: false delivers to the envelope recipients only', () => {
+  const emailData = buildEmailData({ to: 'alice@ours.test' }, { recipient: 'dave@ours.test', headerFanOut: false });
+
+  assert.deepEqual(emailData.recipients, ['dave@ours.test']);
+});
+
+test('raw messages fan out to their To and Cc headers', async () => {
+  const emailData = await normalizeRawMessage(RAW, { recipient: 'bob@ours.test' });
+
+  assert.deepEqual(emailData.recipients, ['bob@ours.test', 'alice@ours.test', 'carol@elsewhere.test']);
+  assert.deepEqual(emailData.envelopeRecipients, ['bob@ours.test']);
+  assert.equal(emailData.sender, 'sender@example.org');
+  assert.equal(emailData.messageId, 'm1@example.org');
+});
+
+test('JSON payloads take the envelope from recipients, not to/cc', async () => {
+  const emailData = await normalizeJsonPayload({
+    recipients: ['bob@ours.test'],
+    to: 'alice@ours.test',
+    cc: 'carol@elsewhere.test',
+    from: 'sender@example.org',
+    subject: 'Hello',
+    text: 'Hi'
+  });
+
+  assert.deepEqual(emailData.recipients, ['bob@ours.test', 'alice@ours.test', 'carol@elsewhere.test']);
+  assert.deepEqual(emailData.envelopeRecipients, ['bob@ours.test']);
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ImageProxy, isPrivateAddress } from '../src/services/imageProxy.js';
+
+const BASE_URL = 'https://api.ours.test';
+
+function createProxy(options = {}) {
+  return new ImageProxy({ secret: 'proxy-secret', baseUrl: BASE_URL, cache: {}, ...options });
+}
+
+test('proxy mode points remote images at signed proxy URLs', () => {
+  const proxy = createProxy();
+  const html = proxy.rewriteHtml('<p><img src="https://tracker.example/pixel.gif" alt="x"></p>', 'proxy');
+  const url = new URL(html.match(/src="([^"]+)"/)[1].replace(/&amp;/g, '&'));
+
+  assert.equal(url.origin + url.pathname, `${BASE_URL}/images/proxy`);
+  assert.equal(url.searchParams.get('url'), 'https://tracker.example/pixel.gif');
+  assert.equal(proxy.verify(url.searchParams.get('url'), url.searchParams.get('sig')), true);
+  assert.equal(proxy.verify('https://other.example/', url.searchParams.get('sig')), false);
+});
+
+test('load mode leaves the HTML unchanged', () => {
+  const html = '<img src="https://tracker.example/pixel.gif">';
+  assert.equal(createProxy().rewriteHtml(html, 'load'), html);
+});
+
+test('block mode removes remote images and marks them', () => {
+  const html = createProxy().rewriteHtml('<img src="https://tracker.example/pixel.gif" alt="x">', 'block');
+  assert.doesNotMatch(html, /tracker\.example/);
+  assert.match(html, /data-blocked-image/);
+});
+
+test('catches scheme-relative, backslash and scheme-only URLs', () => {
+  const proxy = createProxy();
+  for (const src of ['//tracker.example/a.gif', '\\\\tracker.example/a.gif', 'https:tracker.example/a.gif', ' HTTPS://TRACKER.EXAMPLE/a.gif']) {
+    const html = proxy.rewriteHtml(`<img src="${src}">`, 'block');
+    assert.doesNotMatch(html, /tracker\.example/i, src);
+  }
+});
+
+test('keeps relative, inline attachment and data URLs', () => {
+  const proxy = createProxy();
+  const html = [
+    `<img src="${BASE_URL}/emails/public/a%40ours.test/1/attachments/2">`,
+    '<img src="/logo.png">',
+    '<img src="data:image/png;base64,AAAA">'
+  ].join('');
+  assert.equal(proxy.rewriteHtml(html, 'block'), html.replace(/">/g, '" />'));
+});
+
+test('rewrites srcset candidates and background attributes', () => {
+  const proxy = createProxy();
+  const html = proxy.rewriteHtml(
+    '<img srcset="https://a.example/1x.png 1x, /local.png 2x"><table background="https://b.example/bg.png"></table>',
+    'block'
+  );
+  assert.match(html, /srcset="\/local.png 2x"/);
+  assert.doesNotMatch(html, /a\.example|b\.example/);
+});
+
+test('rewrites url() references in style attributes', () => {
+  const proxy = createProxy();
+  const blocked = proxy.rewriteHtml(
+    '<div style="color: red; background: url(\'https://c.example/bg.png\') no-repeat">x</div>',
+    'block'
+  );
+  assert.match(blocked, /color: red/);
+  assert.match(blocked, /background: none no-repeat/);
+  assert.doesNotMatch(blocked, /c\.example/);
+
+  const proxied = proxy.rewriteHtml('<div style="background-image: url(https://c.example/bg.png)">x</div>', 'proxy');
+  assert.match(proxied, /url\(&quot;https:\/\/api\.ours\.test\/images\/proxy\?url=https%3A%2F%2Fc\.example%2Fbg\.png/);
+});
+
+test('drops style declarations that hide URLs from the rewrite', () => {
+  const html = createProxy().rewriteHtml(
+    '<div style="color: blue; background: url(ht\\74ps://d.example/x.png); background-image: image-set(\'https://d.example/y.png\' 1x)">x</div>',
+    'block'
+  );
+  assert.match(html, /color: blue/);
+  assert.doesNotMatch(html, /d\.example/);
+});
+
+test('without a secret, proxy mode blocks and nothing verifies', () => {
+  const saved = process.env.IMAGE_PROXY_SECRET;
+  delete process.env.IMAGE_PROXY_SECRET;
+  try {
+    const proxy = new ImageProxy({ baseUrl: BASE_URL, cache: {} });
+    assert.doesNotMatch(proxy.rewriteHtml('<img src="https://e.example/x.png">', 'proxy'), /e\.example/);
+    assert.equal(proxy.verify('https://e.example/x.png', 'anything'), false);
+  } finally {
+    if (saved !== undefined) process.env.IMAGE_PROXY_SECRET = saved;
+  }
+});
+
+test('isPrivateAddress recognizes internal ranges', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '192.168.0.1', '169.254.169.254', '::1', '::ffff:10.0.0.1', 'fd00::1']) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  for (const address of ['93.184.216.34', '2606:2800:220:1::1']) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSearchQuery, toBooleanQuery } from '../src/utils/searchQuery.js';
+
+test('parses words, phrases, exclusions and operators', () => {
+  const parsed = parseSearchQuery('invoice from:billing@acme.com subject:"password reset" -draft "two words" in:signup-tests has:attachment');
+
+  assert.deepEqual(parsed.terms, [
+    { text: 'invoice', phrase: false, exclude: false },
+    { text: 'draft', phrase: false, exclude: true },
+    { text: 'two words', phrase: true, exclude: false }
+  ]);
+  assert.deepEqual(parsed.from, ['billing@acme.com']);
+  assert.deepEqual(parsed.subject, ['password reset']);
+  assert.deepEqual(parsed.in, ['signup-tests']);
+  assert.equal(parsed.hasAttachment, true);
+  assert.deepEqual(parsed.errors, []);
+});
+
+test('parses before: and after: as UTC days', () => {
+  const parsed = parseSearchQuery('after:2024-01-31 before:2024/2/5');
+
+  assert.equal(parsed.after.toISOString(), '2024-01-31T00:00:00.000Z');
+  assert.equal(parsed.before.toISOString(), '2024-02-05T00:00:00.000Z');
+});
+
+test('operators are case-insensitive and unknown ones are plain words', () => {
+  const parsed = parseSearchQuery('FROM:a@b.test re:hello');
+
+  assert.deepEqual(parsed.from, ['a@b.test']);
+  assert.deepEqual(parsed.terms, [{ text: 're:hello', phrase: false, exclude: false }]);
+});
+
+test('reports invalid operator use', () => {
+  const parsed = parseSearchQuery('-from:a@b.test subject:"" has:pictures after:yesterday');
+
+  assert.deepEqual(parsed.errors, [
+    'from: cannot be negated',
+    'subject: needs a value',
+    'Unknown has: value "pictures"',
+    'after: expects a date like 2024-01-31'
+  ]);
+});
+
+test('an unterminated quote runs to the end of the query', () => {
+  assert.deepEqual(parseSearchQuery('"reset your').terms, [{ text: 'reset your', phrase: true, exclude: false }]);
+});
+
+test('toBooleanQuery requires every term with prefix matching', () => {
+  const { terms } = parseSearchQuery('invoice "password reset" acme.com');
+  assert.equal(toBooleanQuery(terms), '+invoice* +"password reset" +acme* +com*');
+});
+
+test('toBooleanQuery with any matches exact terms', () => {
+  assert.equal(
+    toBooleanQuery([{ text: 'draft', phrase: false }, { text: 'out of office', phrase: true }], { any: true }),
+    'draft "out office"'
+  );
+});
+
+test('toBooleanQuery drops boolean operators and short words from user input', () => {
+  const { terms } = parseSearchQuery('+alpha -beta* (gamma) ~delta "x" ab');
+  assert.equal(toBooleanQuery(terms.filter(term => !term.exclude)), '+alpha* +gamma* +delta*');
+  assert.equal(toBooleanQuery(terms.filter(term => term.exclude), { any: true }), 'beta');
+});
+
+test('toBooleanQuery keeps non-Latin words', () => {
+  assert.equal(toBooleanQuery([{ text: 'Überweisung пароль', phrase: false }]), '+Überweisung* +пароль*');
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VerificationExtractor, DEFAULT_RULES } from '../src/services/verificationExtractor.js';
+
+const extractor = new VerificationExtractor({ rules: DEFAULT_RULES });
+
+function findCode(subject, text) {
+  return extractor.findCode(subject, text, DEFAULT_RULES);
+}
+
+function findLink(html, text = '') {
+  return extractor.findLink(html, text, DEFAULT_RULES);
+}
+
+test('finds a code introduced by a keyword', () => {
+  assert.equal(findCode('Welcome', 'Your verification code is 482913. It expires in 10 minutes.'), '482913');
+});
+
+test('joins grouped digits and reads letter-digit codes', () => {
+  assert.equal(findCode('', 'Enter this code: 123 456'), '123456');
+  assert.equal(findCode('', 'Your login code: A7K2Q9'), 'A7K2Q9');
+  assert.equal(findCode('', 'Security code ABC-123'), 'ABC123');
+});
+
+test('prefers a code in a subject that mentions one', () => {
+  assert.equal(findCode('Your code is 9081', 'Use code 5555 if the first one fails'), '9081');
+});
+
+test('ignores numbers that are not introduced as codes', () => {
+  assert.equal(findCode('Order shipped', 'Order 55512 will arrive on 12/05. Call 5551234 for help.'), null);
+});
+
+test('ranks years last and ignores prices and amounts', () => {
+  assert.equal(findCode('', 'Your code is 2024. © 2024 Example Inc., code 7314'), '7314');
+  assert.equal(findCode('Your code is inside', '© 2024 Example Inc.'), null);
+  assert.equal(findCode('', 'Your code for $1999 and 12.50 off'), null);
+});
+
+test('ignores codes outside the configured length', () => {
+  assert.equal(findCode('', 'Your code is 12'), null);
+  assert.equal(findCode('', 'Your code is 1234567890123'), null);
+});
+
+test('a sender domain pattern overrides the heuristics', () => {
+  const rules = { ...DEFAULT_RULES, domains: { 'example.com': { codePattern: 'PIN=(\\w+)' } } };
+  const custom = new VerificationExtractor({ rules });
+  assert.deepEqual(
+    custom.extract({ sender: 'no-reply@mail.example.com', subject: '', body_text: 'code 111111 PIN=zx81' }),
+    { code: 'zx81', link: null }
+  );
+});
+
+test('finds the confirmation link among other links', () => {
+  const html = [
+    '<a href="https://example.com/">Home</a>',
+    '<a href="https://example.com/account/verify?token=abc&amp;u=1">Confirm your email</a>',
+    '<a href="https://example.com/unsubscribe?token=abc">Unsubscribe</a>',
+    '<a href="https://twitter.com/example/verify">Follow us</a>'
+  ].join(' ');
+  assert.equal(findLink(html), 'https://example.com/account/verify?token=abc&u=1');
+});
+
+test('judges plain-text links by the text before them', () => {
+  const text = 'Visit https://example.com/blog\nClick to activate your account: https://example.com/a/XyZ123';
+  assert.equal(findLink('', text), 'https://example.com/a/XyZ123');
+});
+
+test('ignores non-http and unrelated links', () => {
+  assert.equal(findLink('<a href="javascript:verify()">Verify</a><a href="https://example.com/pricing">Pricing</a>'), null);
+});
+
+test('disabled domains extract nothing', () => {
+  const rules = { ...DEFAULT_RULES, domains: { 'example.com': { disabled: true } } };
+  const custom = new VerificationExtractor({ rules });
+  assert.deepEqual(
+    custom.extract({ sender: 'a@example.com', subject: 'Your code is 123456', body_text: '' }),
+    { code: null, link: null }
+  );
+});
@@ -0,0 +1,124 @@
+import { test, beforeEach, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { pool } from '../src/db/init.js';
+import { WebhookRelayManager } from '../src/services/webhookRelayManager.js';
+import { verifyWebhookSignature, SIGNATURE_TOLERANCE } from '../src/middleware/webhookAuth.js';
+
+const SECRET = 'relay-secret';
+const relay = { id: 'relay-1', allow_unsigned: false, allowed_ips: null };
+
+function sign(secret, timestamp, nonce, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${nonce}.${body}`).digest('hex');
+}
+
+function signedRequest({ body = '{"to":"a@example.com"}', timestamp = Math.floor(Date.now() / 1000), nonce = 'nonce-1', secret = SECRET } = {}) {
+  return {
+    ip: '203.0.113.10',
+    rawBody: Buffer.from(body),
+    headers: {
+      'x-relay-id': 'relay',
+      'x-webhook-timestamp': String(timestamp),
+      'x-webhook-nonce': nonce,
+      'x-webhook-signature': sign(secret, timestamp, nonce, body)
+    }
+  };
+}
+
+// Runs the middleware; resolves with the response status, or "next"
+function verify(req) {
+  return new Promise(resolve => {
+    const res = {
+      status(code) {
+        return { json: body => resolve({ status: code, body }) };
+      }
+    };
+    verifyWebhookSignature(req, res, () => resolve({ status: 'next' }));
+  });
+}
+
+let nonces;
+// The pool is never connected, but its idle timer keeps the process alive
+after(() => pool.end());
+
+beforeEach(() => {
+  mock.restoreAll();
+  nonces = new Set();
+  mock.method(WebhookRelayManager.prototype, 'findActiveRelay', async () => relay);
+  mock.method(WebhookRelayManager.prototype, 'getValidSecrets', async () => ['old-secret', SECRET]);
+  mock.method(WebhookRelayManager.prototype, 'recordNonce', async (relayId, nonce) => {
+    if (nonces.has(nonce)) return false;
+    nonces.add(nonce);
+    return true;
+  });
+});
+
+test('computeSignature signs "<timestamp>.<nonce>.<raw body>"', () => {
+  const manager = new WebhookRelayManager();
+  assert.equal(
+    'sha256=' + manager.computeSignature(SECRET, '1700000000', 'n', Buffer.from('body')),
+    sign(SECRET, '1700000000', 'n', 'body')
+  );
+});
+
+test('matchesAnySecret accepts any valid secret and rejects malformed signatures', () => {
+  const manager = new WebhookRelayManager();
+  const signature = sign(SECRET, '1', 'n', 'body');
+
+  assert.equal(manager.matchesAnySecret(['other', SECRET], signature, '1', 'n', Buffer.from('body')), true);
+  assert.equal(manager.matchesAnySecret(['other'], signature, '1', 'n', Buffer.from('body')), false);
+  assert.equal(manager.matchesAnySecret([SECRET], 'sha256=abc', '1', 'n', Buffer.from('body')), false);
+});
+
+test('accepts a correctly signed request', async () => {
+  const req = signedRequest();
+  assert.deepEqual(await verify(req), { status: 'next' });
+  assert.equal(req.relay, relay);
+});
+
+test('rejects a signature over a different body', async () => {
+  const req = signedRequest();
+  req.rawBody = Buffer.from('{"to":"b@example.com"}');
+  const result = await verify(req);
+  assert.equal(result.status, 401);
+  assert.equal(result.body.error, 'INVALID_SIGNATURE');
+});
+
+test('rejects a signature made with an unknown secret', async () => {
+  const result = await verify(signedRequest({ secret: 'wrong' }));
+  assert.equal(result.status, 401);
+  assert.equal(result.body.error, 'INVALID_SIGNATURE');
+});
+
+test('rejects timestamps outside the tolerance window', async () => {
+  const timestamp = Math.floor(Date.now() / 1000) - SIGNATURE_TOLERANCE - 10;
+  const result = await verify(signedRequest({ timestamp }));
+  assert.equal(result.status, 401);
+  assert.equal(result.body.error, 'STALE_REQUEST');
+});
+
+test('rejects a replayed nonce', async () => {
+  assert.deepEqual(await verify(signedRequest({ nonce: 'once' })), { status: 'next' });
+  const result = await verify(signedRequest({ nonce: 'once' }));
+  assert.equal(result.status, 409);
+  assert.equal(result.body.error, 'REPLAYED_REQUEST');
+});
+
+test('requires a signature unless the relay allows unsigned requests', async () => {
+  const req = signedRequest();
+  delete req.headers['x-webhook-signature'];
+  assert.equal((await verify(req)).body.error, 'SIGNATURE_REQUIRED');
+
+  WebhookRelayManager.prototype.findActiveRelay.mock.mockImplementation(async () => ({ ...relay, allow_unsigned: true }));
+  assert.deepEqual(await verify(req), { status: 'next' });
+});
+
+test('checks the allowed IPs against req.ip', async () => {
+  WebhookRelayManager.prototype.findActiveRelay.mock.mockImplementation(async () => ({ ...relay, allowed_ips: '198.51.100.1, 198.51.100.2' }));
+  const req = signedRequest();
+  req.headers['x-forwarded-for'] = '198.51.100.1';
+  assert.equal((await verify(req)).body.error, 'RELAY_IP_NOT_ALLOWED');
+
+  req.ip = '198.51.100.2';
+  assert.deepEqual(await verify(req), { status: 'next' });
+});